@@ -1,4 +1,5 @@
 const https = require('https');
+const { isSensitive } = require('./sensitive-detector');
 
 class AIService {
   constructor() {
@@ -495,6 +496,7 @@ class AIService {
   // Fallback categorization (no AI needed)
   fallbackCategorize(text) {
     if (!text) return 'other';
+    if (isSensitive(text)) return 'password';
     if (text.includes('@') && text.includes('.')) return 'email';
     if (text.startsWith('http://') || text.startsWith('https://')) return 'link';
     if (/^[0-9]+$/.test(text.trim())) return 'number';
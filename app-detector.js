@@ -1,7 +1,89 @@
-const { exec } = require('child_process');
+const { exec, spawn } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
 
+// How long a capture waits for the window title before going on without it
+const WINDOW_TITLE_TIMEOUT = 500;
+// Wait before starting the Windows helper again after it failed
+const HELPER_RETRY_DELAY = 60 * 1000;
+
+// Prints the title of the focused window for every line it reads. Compiling the
+// user32 bindings takes PowerShell about a second, so it is done once per helper.
+const WINDOWS_TITLE_SCRIPT = `
+[Console]::OutputEncoding = [System.Text.Encoding]::UTF8
+Add-Type -Name Window -Namespace Economos -MemberDefinition '[DllImport("user32.dll")] public static extern System.IntPtr GetForegroundWindow(); [DllImport("user32.dll", CharSet = CharSet.Unicode)] public static extern int GetWindowText(System.IntPtr hWnd, System.Text.StringBuilder text, int count);'
+$title = New-Object System.Text.StringBuilder 512
+while ($null -ne [Console]::In.ReadLine()) {
+  [void]$title.Clear()
+  [void][Economos.Window]::GetWindowText([Economos.Window]::GetForegroundWindow(), $title, 512)
+  [Console]::Out.WriteLine(($title.ToString() -replace "[\\r\\n]", " "))
+  [Console]::Out.Flush()
+}`;
+
+// Long-running PowerShell process that answers window title requests in order.
+// It exits by itself when the app does (its stdin closes).
+class WindowTitleHelper {
+  constructor() {
+    this.process = null;
+    this.pending = []; // resolve functions, oldest request first
+    this.retryAt = 0;
+  }
+
+  start() {
+    const encoded = Buffer.from(WINDOWS_TITLE_SCRIPT, 'utf16le').toString('base64');
+    const child = spawn('powershell', ['-NoProfile', '-NonInteractive', '-EncodedCommand', encoded], {
+      stdio: ['pipe', 'pipe', 'ignore'],
+      windowsHide: true
+    });
+    this.process = child;
+
+    let buffer = '';
+    child.stdout.on('data', (data) => {
+      buffer += data.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line => {
+        const resolve = this.pending.shift();
+        if (resolve) resolve(line.trim());
+      });
+    });
+    child.stdin.on('error', () => {}); // reported through 'exit'
+    child.on('error', (error) => this.fail(child, error));
+    child.on('exit', (code) => this.fail(child, new Error(`powershell exited with code ${code}`)));
+  }
+
+  fail(child, error) {
+    if (this.process !== child) return;
+    console.error('Window title helper stopped:', error.message);
+    this.process = null;
+    this.retryAt = Date.now() + HELPER_RETRY_DELAY;
+    this.pending.splice(0).forEach(resolve => resolve(''));
+  }
+
+  // The title, or '' if the helper doesn't answer within the timeout
+  getTitle() {
+    if (!this.process) {
+      if (Date.now() < this.retryAt) return Promise.resolve('');
+      this.start();
+    }
+    return new Promise(resolve => {
+      let done = false;
+      const finish = (title) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        resolve(title);
+      };
+      // A late answer still takes this request's place in the queue, and is dropped
+      const timer = setTimeout(() => finish(''), WINDOW_TITLE_TIMEOUT);
+      this.pending.push(finish);
+      this.process.stdin.write('\n');
+    });
+  }
+}
+
+let windowTitleHelper = null;
+
 // Get the currently active application (for app exclusion feature)
 async function getActiveApp() {
   try {
@@ -24,5 +106,25 @@ async function getActiveApp() {
   }
 }
 
-module.exports = { getActiveApp };
+// Get the title of the focused window (for capture rules), '' if it can't be read
+async function getActiveWindowTitle() {
+  try {
+    if (process.platform === 'darwin') {
+      // Needs the Accessibility permission, like the app name
+      const { stdout } = await execAsync("osascript -e 'tell application \"System Events\" to get name of front window of (first application process whose frontmost is true)'");
+      return stdout.trim();
+    } else if (process.platform === 'win32') {
+      if (!windowTitleHelper) windowTitleHelper = new WindowTitleHelper();
+      return await windowTitleHelper.getTitle();
+    } else {
+      const { stdout } = await execAsync('xdotool getactivewindow getwindowname 2>/dev/null || echo ""');
+      return stdout.trim();
+    }
+  } catch (error) {
+    console.error('Error getting active window title:', error);
+    return '';
+  }
+}
+
+module.exports = { getActiveApp, getActiveWindowTitle };
 
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+
+// Crash-safe file writes: the data goes to a temp file that is flushed to disk
+// and then renamed over the live file, so a crash leaves either the old or the
+// new version - never a half-written file.
+
+function fsyncDirectory(dirPath) {
+  // Not supported on Windows, where the rename is already durable enough
+  if (process.platform === 'win32') return;
+  let fd = null;
+  try {
+    fd = fs.openSync(dirPath, 'r');
+    fs.fsyncSync(fd);
+  } catch (error) {
+    // Best effort, some file systems don't allow syncing directories
+  } finally {
+    if (fd !== null) fs.closeSync(fd);
+  }
+}
+
+// data is a string or Buffer, or an iterable of them that is written piece by piece
+// (for files too big to build as one string)
+function writeFileAtomic(filePath, data, options = {}) {
+  const tempFile = `${filePath}.tmp`;
+  const fd = fs.openSync(tempFile, 'w', options.mode || 0o600);
+  try {
+    if (typeof data === 'string' || Buffer.isBuffer(data)) {
+      fs.writeFileSync(fd, data, options.encoding ? { encoding: options.encoding } : undefined);
+    } else {
+      for (const part of data) {
+        fs.writeFileSync(fd, part, options.encoding ? { encoding: options.encoding } : undefined);
+      }
+    }
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempFile, filePath);
+  fsyncDirectory(path.dirname(filePath));
+}
+
+// Copied by the OS rather than read into memory, since the history log can be large
+function copyFileAtomic(sourceFile, targetFile) {
+  const tempFile = `${targetFile}.tmp`;
+  fs.copyFileSync(sourceFile, tempFile);
+  const fd = fs.openSync(tempFile, 'r+');
+  try {
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempFile, targetFile);
+  fsyncDirectory(path.dirname(targetFile));
+}
+
+module.exports = { writeFileAtomic, copyFileAtomic };
@@ -0,0 +1,122 @@
+const { normalizeTimeWindow, isWithinTimeWindow, describeTimeWindow } = require('./time-window');
+
+// Capture rules decide what happens to a clip before it is stored.
+// Rules are checked in order and the first enabled rule whose conditions all match wins:
+//   skip    don't store the clip
+//   keep    store it normally (also for excluded apps), e.g. an exception to a later skip rule
+//   redact  store it with the matched text (or everything) replaced by [redacted]
+//   ttl     store it, but delete it after ttlMinutes
+//
+// Conditions (empty ones are ignored):
+//   pattern      regular expression on the text (text and file items)
+//   windowTitle  regular expression on the title of the window the clip came from
+//   app          part of the active app name
+//   minLength / maxLength   text length
+//   categories   the clip's category is one of these
+//   timeWindow   time of day the clip is copied ({ days, start, end }, see time-window.js)
+
+const RULE_ACTIONS = ['skip', 'keep', 'redact', 'ttl'];
+const REDACTED = '[redacted]';
+
+function compilePattern(source, label) {
+  try {
+    return new RegExp(source, 'i');
+  } catch (error) {
+    throw new Error(`Invalid ${label} pattern: ${error.message}`);
+  }
+}
+
+// Validated copy of a rule from the settings window (throws with a readable message)
+function normalizeRule(rule) {
+  if (!RULE_ACTIONS.includes(rule.action)) {
+    throw new Error(`Unknown rule action: ${rule.action}`);
+  }
+
+  const normalized = {
+    id: rule.id || `${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
+    enabled: rule.enabled !== false,
+    action: rule.action,
+    pattern: (rule.pattern || '').trim(),
+    windowTitle: (rule.windowTitle || '').trim(),
+    app: (rule.app || '').trim(),
+    minLength: Math.max(parseInt(rule.minLength) || 0, 0),
+    maxLength: Math.max(parseInt(rule.maxLength) || 0, 0),
+    categories: Array.isArray(rule.categories) ? rule.categories.filter(Boolean) : [],
+    timeWindow: rule.timeWindow ? normalizeTimeWindow(rule.timeWindow) : null
+  };
+  if (normalized.pattern) compilePattern(normalized.pattern, 'content');
+  if (normalized.windowTitle) compilePattern(normalized.windowTitle, 'window title');
+  if (normalized.maxLength && normalized.minLength > normalized.maxLength) {
+    throw new Error('Minimum length is larger than maximum length');
+  }
+  if (normalized.action === 'ttl') {
+    normalized.ttlMinutes = parseInt(rule.ttlMinutes) || 0;
+    if (normalized.ttlMinutes <= 0) {
+      throw new Error('Choose how many minutes to keep the clip');
+    }
+  }
+
+  const hasCondition = normalized.pattern || normalized.windowTitle || normalized.app ||
+    normalized.minLength || normalized.maxLength || normalized.categories.length > 0 || normalized.timeWindow;
+  if (!hasCondition) {
+    throw new Error('A rule needs at least one condition');
+  }
+  return normalized;
+}
+
+// clip: { type, text, category, app, windowTitle }
+function matchesRule(rule, clip, now) {
+  // Images have no text, so text conditions never match them
+  const text = clip.type === 'image' ? null : (clip.text || '');
+  if (rule.pattern && (text === null || !compilePattern(rule.pattern, 'content').test(text))) return false;
+  if (rule.minLength && (text === null || text.length < rule.minLength)) return false;
+  if (rule.maxLength && (text === null || text.length > rule.maxLength)) return false;
+  if (rule.windowTitle && !(clip.windowTitle && compilePattern(rule.windowTitle, 'window title').test(clip.windowTitle))) return false;
+  if (rule.app && !(clip.app && clip.app.toLowerCase().includes(rule.app.toLowerCase()))) return false;
+  if (rule.categories.length > 0 && !rule.categories.includes(clip.category || 'other')) return false;
+  if (rule.timeWindow && !isWithinTimeWindow(rule.timeWindow, now)) return false;
+  return true;
+}
+
+// The first enabled rule that matches the clip, or null
+function findMatchingRule(rules, clip, now = new Date()) {
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    try {
+      if (matchesRule(rule, clip, now)) return rule;
+    } catch (error) {
+      // A rule that can't be evaluated (e.g. saved by a newer version) is ignored
+      console.warn('Skipping capture rule:', error.message);
+    }
+  }
+  return null;
+}
+
+// Text with the rule's pattern matches replaced, or entirely replaced without a pattern
+function redactText(text, rule) {
+  if (!rule.pattern) return REDACTED;
+  const redacted = text.replace(new RegExp(rule.pattern, 'gi'), REDACTED);
+  return redacted === text ? REDACTED : redacted;
+}
+
+// Short summary for the settings list, e.g. "Skip: title /bank/ · Mon-Fri 09:00-17:00"
+function describeRule(rule) {
+  const actions = { skip: 'Skip', keep: 'Keep', redact: 'Redact', ttl: `Keep ${rule.ttlMinutes} min` };
+  const conditions = [];
+  if (rule.pattern) conditions.push(`text /${rule.pattern}/`);
+  if (rule.windowTitle) conditions.push(`title /${rule.windowTitle}/`);
+  if (rule.app) conditions.push(`app "${rule.app}"`);
+  if (rule.minLength) conditions.push(`≥ ${rule.minLength} chars`);
+  if (rule.maxLength) conditions.push(`≤ ${rule.maxLength} chars`);
+  if (rule.categories.length > 0) conditions.push(rule.categories.join(', '));
+  if (rule.timeWindow) conditions.push(describeTimeWindow(rule.timeWindow));
+  return `${actions[rule.action]}: ${conditions.join(' · ')}`;
+}
+
+module.exports = {
+  RULE_ACTIONS,
+  normalizeRule,
+  findMatchingRule,
+  redactText,
+  describeRule
+};
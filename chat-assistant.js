@@ -1,6 +1,7 @@
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
+const { isSensitive } = require('./sensitive-detector');
 
 // Note: aiService will be set by main process
 let aiService = null;
@@ -232,6 +233,7 @@ class ChatAssistant {
       // If clipboard changed and it looks like a message (not a URL, not too short)
       if (currentClipboard && currentClipboard !== lastClipboard && 
           currentClipboard.length > 10 && 
+          !isSensitive(currentClipboard) && // secrets are never sent to AI
           !currentClipboard.startsWith('http') &&
           !currentClipboard.startsWith('https') &&
           (now - lastTimestamp) > 1000) { // Avoid duplicate triggers
@@ -0,0 +1,377 @@
+const { spawn } = require('child_process');
+const { hashContent } = require('./crypto-utils');
+
+// Watches the system clipboard for new contents.
+//
+// Where the platform offers it, a small helper process reports each clipboard change
+// and the clipboard is only read then:
+//   macOS    NSPasteboard changeCount (osascript), see MAC_SCRIPT
+//   Windows  WM_CLIPBOARDUPDATE from AddClipboardFormatListener (PowerShell)
+//   Linux    wl-paste --watch on Wayland, clipnotify on X11 (when installed)
+// Otherwise (or when the helper stops) the clipboard is polled: quickly right after a
+// change, more slowly the longer nothing changes, and rarely while the user is away.
+//
+// Contents are compared by hash, so large clips are never compared as strings.
+//
+// On Linux the PRIMARY selection (highlighted text) can be watched too, with
+// type 'selection' (Electron's name for it). It only holds text, and since it changes
+// with every step of a selection drag, settleTime waits until it stops changing.
+
+const DEFAULT_INTERVALS = {
+  minInterval: 250, // polling right after a change
+  maxInterval: 2000, // polling after a while without changes
+  idleInterval: 5000, // polling while the user is away
+  idleThreshold: 60, // seconds without input before the user counts as away
+  safetyInterval: 5000, // with change notifications, read now and then in case one was missed
+  settleTime: 0 // only report contents that stayed the same this long
+};
+
+// Helper scripts that print a line whenever the clipboard changes.
+//
+// macOS has no clipboard change notification, so this one polls NSPasteboard's
+// changeCount: a counter kept in memory by the pasteboard server, no clipboard data is
+// read or copied. Reading it ten times a second costs next to nothing and keeps a
+// copy-then-paste from being faster than the capture.
+const MAC_SCRIPT = `
+ObjC.import('AppKit');
+var board = $.NSPasteboard.generalPasteboard;
+var last = -1;
+while (true) {
+  var count = board.changeCount;
+  if (count !== last) { last = count; console.log(count); }
+  delay(0.1);
+}`;
+
+// Windows sends WM_CLIPBOARDUPDATE to windows registered with AddClipboardFormatListener.
+// A message-only window receives it and the helper sleeps in the message loop in between.
+// It exits when its stdin closes, so it doesn't outlive the app if the app crashes.
+const WINDOWS_SCRIPT = `
+Add-Type -ReferencedAssemblies System.Windows.Forms -TypeDefinition @'
+using System;
+using System.ComponentModel;
+using System.Runtime.InteropServices;
+using System.Threading;
+using System.Windows.Forms;
+
+namespace Economos {
+  public class ClipboardListener : NativeWindow {
+    [DllImport("user32.dll", SetLastError = true)]
+    static extern bool AddClipboardFormatListener(IntPtr hwnd);
+
+    const int WM_CLIPBOARDUPDATE = 0x031D;
+    static readonly IntPtr HWND_MESSAGE = new IntPtr(-3);
+    static ClipboardListener instance; // keeps the window alive while the message loop runs
+
+    public ClipboardListener() {
+      CreateParams options = new CreateParams();
+      options.Parent = HWND_MESSAGE;
+      CreateHandle(options);
+      if (!AddClipboardFormatListener(Handle)) throw new Win32Exception();
+    }
+
+    protected override void WndProc(ref Message message) {
+      if (message.Msg == WM_CLIPBOARDUPDATE) {
+        Console.Out.WriteLine();
+        Console.Out.Flush();
+      }
+      base.WndProc(ref message);
+    }
+
+    public static void Run() {
+      Thread watchParent = new Thread(() => {
+        while (Console.In.Read() != -1) { }
+        Environment.Exit(0);
+      });
+      watchParent.IsBackground = true;
+      watchParent.Start();
+
+      instance = new ClipboardListener();
+      // Read once right away, like the other helpers
+      Console.Out.WriteLine();
+      Console.Out.Flush();
+      Application.Run();
+    }
+  }
+}
+'@
+[Economos.ClipboardListener]::Run()`;
+
+// Runs a helper process and calls onChange for every line it prints.
+// respawn: the helper exits after each change (clipnotify) and is started again.
+class ChangeNotifier {
+  constructor(command, args, options = {}) {
+    this.command = command;
+    this.args = args;
+    this.respawn = !!options.respawn;
+    this.process = null;
+    this.onChange = null;
+    this.onFail = null;
+  }
+
+  get isRunning() {
+    return !!this.process;
+  }
+
+  // onFail is called once if the helper can't be started or stops by itself
+  start(onChange, onFail) {
+    this.onChange = onChange;
+    this.onFail = onFail;
+    this.spawn();
+  }
+
+  spawn() {
+    // stdin stays open for helpers that exit when the app does (see WINDOWS_SCRIPT)
+    const child = spawn(this.command, this.args, { stdio: ['pipe', 'pipe', 'pipe'], windowsHide: true });
+    this.process = child;
+    child.stdin.on('error', () => {}); // reported through 'exit'
+
+    let buffer = '';
+    const onData = (data) => {
+      buffer += data.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      if (lines.length > 0 && this.onChange) this.onChange();
+    };
+    // osascript prints console.log() output on stderr
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+
+    child.on('error', (error) => this.fail(child, error));
+    child.on('exit', (code) => {
+      if (this.process !== child) return; // stopped
+      if (this.respawn && code === 0) {
+        if (this.onChange) this.onChange();
+        this.spawn();
+      } else {
+        this.fail(child, new Error(`${this.command} exited with code ${code}`));
+      }
+    });
+  }
+
+  fail(child, error) {
+    if (this.process !== child) return;
+    this.process = null;
+    const onFail = this.onFail;
+    this.onFail = null;
+    if (onFail) onFail(error);
+  }
+
+  stop() {
+    const child = this.process;
+    this.process = null;
+    this.onChange = null;
+    this.onFail = null;
+    if (child) child.kill();
+  }
+}
+
+// The change notifier for this platform and clipboard type, null if there is none
+function createChangeNotifier(type = 'clipboard', platform = process.platform, env = process.env) {
+  if (type === 'selection') {
+    if (platform !== 'linux') return null;
+    if (env.WAYLAND_DISPLAY) return new ChangeNotifier('wl-paste', ['--primary', '--watch', 'echo']);
+    if (env.DISPLAY) return new ChangeNotifier('clipnotify', ['-s', 'primary'], { respawn: true });
+    return null;
+  }
+  if (platform === 'darwin') {
+    return new ChangeNotifier('osascript', ['-l', 'JavaScript', '-e', MAC_SCRIPT]);
+  }
+  if (platform === 'win32') {
+    const encoded = Buffer.from(WINDOWS_SCRIPT, 'utf16le').toString('base64');
+    return new ChangeNotifier('powershell', ['-NoProfile', '-NonInteractive', '-STA', '-EncodedCommand', encoded]);
+  }
+  if (platform === 'linux') {
+    if (env.WAYLAND_DISPLAY) {
+      // Runs `echo` on every change, printing an empty line
+      return new ChangeNotifier('wl-paste', ['--watch', 'echo']);
+    }
+    if (env.DISPLAY) {
+      return new ChangeNotifier('clipnotify', [], { respawn: true });
+    }
+  }
+  return null;
+}
+
+// Hash of what is on the clipboard, to tell whether it changed
+function getSignature(content) {
+  if (!content) return '';
+  if (content.type === 'file') return `file:${hashContent(content.paths.join('\n'))}`;
+  if (content.type === 'image') return `image:${content.hash}`;
+  return `text:${hashContent(content.text)}`;
+}
+
+class ClipboardWatcher {
+  // options.clipboard: Electron's clipboard, or anything with the same read methods
+  // options.type: 'clipboard' (default) or 'selection' for the Linux PRIMARY selection
+  // options.readFilePaths(clipboard): copied files, see file-clipboard.js
+  // options.onChange(content): new contents, { type: 'text', text } | { type: 'image', image, hash } | { type: 'file', paths }
+  // options.getIdleTime(): seconds since the last keyboard or mouse input (optional)
+  // options.changeNotifier: see createChangeNotifier(), null to always poll
+  // plus any of DEFAULT_INTERVALS
+  constructor(options) {
+    this.clipboard = options.clipboard;
+    this.type = options.type || 'clipboard';
+    this.readFilePaths = options.readFilePaths || (async () => []);
+    this.onChange = options.onChange;
+    this.getIdleTime = options.getIdleTime || (() => 0);
+    this.changeNotifier = options.changeNotifier !== undefined ? options.changeNotifier : createChangeNotifier(this.type);
+    this.intervals = { ...DEFAULT_INTERVALS, ...options };
+
+    this.running = false;
+    this.usingNotifier = false;
+    this.timer = null;
+    this.interval = this.intervals.minInterval;
+    this.lastSignature = null; // null: nothing seen yet, so the first check reports the clipboard
+    this.pending = null; // contents waiting for settleTime ({ signature, since })
+    this.checking = null;
+    this.checkAgain = false;
+  }
+
+  get isRunning() {
+    return this.running;
+  }
+
+  // 'events' while a change notifier is running, otherwise 'polling'
+  get mode() {
+    return this.usingNotifier ? 'events' : 'polling';
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.interval = this.intervals.minInterval;
+
+    if (this.changeNotifier) {
+      this.usingNotifier = true;
+      this.changeNotifier.start(() => this.requestCheck(), (error) => {
+        console.warn('Clipboard change notifications stopped, polling instead:', error.message);
+        this.usingNotifier = false;
+        this.requestCheck();
+      });
+    }
+    this.requestCheck();
+  }
+
+  stop() {
+    this.running = false;
+    this.usingNotifier = false;
+    if (this.changeNotifier) this.changeNotifier.stop();
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // What is on the clipboard now, null if it's empty.
+  // Copied files come first: file managers also put the file names on the clipboard as text.
+  async read() {
+    if (this.type === 'selection') {
+      const text = this.clipboard.readText('selection');
+      return text === '' ? null : { type: 'text', text };
+    }
+
+    const paths = await this.readFilePaths(this.clipboard);
+    if (paths.length > 0) {
+      return { type: 'file', paths };
+    }
+
+    const text = this.clipboard.readText();
+    // Images are only captured when there is no text, since apps like
+    // spreadsheets put a rendered preview image next to the copied text.
+    // The formats are checked first so images aren't decoded needlessly.
+    if (text === '' && this.clipboard.availableFormats().some(format => format.startsWith('image/'))) {
+      const image = this.clipboard.readImage();
+      if (!image.isEmpty()) {
+        return { type: 'image', image, hash: hashContent(image.toBitmap()) };
+      }
+    }
+    return text === '' ? null : { type: 'text', text };
+  }
+
+  // Treat content as already seen, e.g. after the app wrote it to the clipboard itself.
+  // Only type plus text, hash or paths is needed; null means the clipboard was cleared.
+  remember(content) {
+    this.lastSignature = getSignature(content);
+    this.pending = null;
+  }
+
+  // Read the clipboard and report it if it changed, returns whether it did
+  async check() {
+    const content = await this.read();
+    const signature = getSignature(content);
+    if (signature === this.lastSignature) {
+      this.pending = null;
+      return false;
+    }
+
+    if (this.intervals.settleTime > 0) {
+      // Still changing (or just changed): keep checking, report once it settles
+      const now = Date.now();
+      if (!this.pending || this.pending.signature !== signature) {
+        this.pending = { signature, since: now };
+        return true;
+      }
+      if (now - this.pending.since < this.intervals.settleTime) return true;
+      this.pending = null;
+    }
+
+    this.lastSignature = signature;
+    if (content && this.onChange) {
+      await this.onChange(content);
+    }
+    return true;
+  }
+
+  // Check now, or right after the check that is running (so quick copies aren't missed)
+  requestCheck() {
+    if (!this.running) return;
+    if (this.checking) {
+      this.checkAgain = true;
+      return;
+    }
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    this.checking = this.check()
+      .catch(error => {
+        console.error('Error checking clipboard:', error);
+        return false;
+      })
+      .then(changed => {
+        this.checking = null;
+        this.interval = changed
+          ? this.intervals.minInterval
+          : Math.min(this.interval * 2, this.intervals.maxInterval);
+        if (this.checkAgain) {
+          this.checkAgain = false;
+          this.requestCheck();
+        } else {
+          this.scheduleCheck();
+        }
+      });
+  }
+
+  // Milliseconds until the next scheduled check
+  getNextDelay() {
+    let delay = this.usingNotifier ? this.intervals.safetyInterval : this.interval;
+    if (this.getIdleTime() >= this.intervals.idleThreshold) {
+      delay = Math.max(delay, this.intervals.idleInterval);
+    }
+    if (this.pending) {
+      delay = Math.min(delay, Math.max(this.pending.since + this.intervals.settleTime - Date.now(), 0));
+    }
+    return delay;
+  }
+
+  scheduleCheck() {
+    if (!this.running) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.requestCheck();
+    }, this.getNextDelay());
+  }
+}
+
+module.exports = ClipboardWatcher;
@@ -1,47 +1,205 @@
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { promisify } = require('util');
+const { writeFileAtomic } = require('./atomic-write');
+const scrypt = promisify(crypto.scrypt);
 
-// Get or create encryption key
+// scrypt cost parameters for the master password (~100ms on a laptop)
+const KDF_PARAMS = { N: 32768, r: 8, p: 1 };
+const KDF_MAX_MEMORY = 64 * 1024 * 1024;
+
+function getKeyFile(userDataPath) {
+  return path.join(userDataPath, '.encryption-key');
+}
+
+// The key file holds either the raw key as hex, or (with a master password)
+// a JSON object with the key wrapped by a password-derived key
+function readWrappedKey(userDataPath) {
+  const keyFile = getKeyFile(userDataPath);
+  if (!fs.existsSync(keyFile)) return null;
+  const data = fs.readFileSync(keyFile, 'utf8').trim();
+  return data.startsWith('{') ? JSON.parse(data) : null;
+}
+
+function writeKeyFile(userDataPath, data) {
+  writeFileAtomic(getKeyFile(userDataPath), data, { mode: 0o600 }); // Only owner can read/write
+}
+
+function hasMasterPassword(userDataPath) {
+  return readWrappedKey(userDataPath) !== null;
+}
+
+// Get or create encryption key (only works while no master password is set)
 function getEncryptionKey(userDataPath) {
-  const keyFile = path.join(userDataPath, '.encryption-key');
+  const keyFile = getKeyFile(userDataPath);
   let key;
   
   if (fs.existsSync(keyFile)) {
-    key = fs.readFileSync(keyFile, 'utf8');
+    if (hasMasterPassword(userDataPath)) {
+      throw new Error('Encryption key is protected by a master password');
+    }
+    key = fs.readFileSync(keyFile, 'utf8').trim();
   } else {
     // Generate a new key
-    key = crypto.randomBytes(32).toString('hex');
-    fs.writeFileSync(keyFile, key, { mode: 0o600 }); // Only owner can read/write
+    key = generateEncryptionKey().toString('hex');
+    writeKeyFile(userDataPath, key);
   }
   
   return Buffer.from(key, 'hex');
 }
 
+function deriveKey(password, salt, params) {
+  return scrypt(password, salt, 32, { ...params, maxmem: KDF_MAX_MEMORY });
+}
+
+// Unwrap the data key with the master password, returns null if the password is wrong
+async function unlockEncryptionKey(userDataPath, password) {
+  const wrapped = readWrappedKey(userDataPath);
+  if (!wrapped) return null;
+  
+  const params = { N: wrapped.N, r: wrapped.r, p: wrapped.p };
+  const wrappingKey = await deriveKey(password, Buffer.from(wrapped.salt, 'hex'), params);
+  try {
+    // GCM authentication fails when the password (and so the wrapping key) is wrong
+    const decipher = crypto.createDecipheriv('aes-256-gcm', wrappingKey, Buffer.from(wrapped.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(wrapped.tag, 'hex'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(wrapped.wrappedKey, 'hex')),
+      decipher.final()
+    ]);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Protect the data key with a master password. Changing the password only
+// re-wraps the key, so nothing encrypted with it has to be rewritten.
+async function setMasterPassword(userDataPath, key, password) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const wrappingKey = await deriveKey(password, salt, KDF_PARAMS);
+  const cipher = crypto.createCipheriv('aes-256-gcm', wrappingKey, iv);
+  const wrappedKey = Buffer.concat([cipher.update(key), cipher.final()]);
+  
+  writeKeyFile(userDataPath, JSON.stringify({
+    version: 1,
+    kdf: 'scrypt',
+    ...KDF_PARAMS,
+    salt: salt.toString('hex'),
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    wrappedKey: wrappedKey.toString('hex')
+  }));
+}
+
+// Store the data key unprotected (also used to go back from a master password)
+function saveEncryptionKey(userDataPath, key) {
+  writeKeyFile(userDataPath, key.toString('hex'));
+}
+
+function removeMasterPassword(userDataPath, key) {
+  saveEncryptionKey(userDataPath, key);
+}
+
+function generateEncryptionKey() {
+  return crypto.randomBytes(32);
+}
+
+// Encrypted data is an envelope "v2:iv:authTag:ciphertext" (AES-256-GCM).
+// Data written before versioning is "iv:ciphertext" (AES-256-CBC, no integrity check)
+// and can still be read so it can be migrated.
+const ENVELOPE_VERSION = 'v2';
+
 // Encrypt data
 function encrypt(text, key) {
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
-  let encrypted = cipher.update(text, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  return iv.toString('hex') + ':' + encrypted;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [
+    ENVELOPE_VERSION,
+    iv.toString('hex'),
+    cipher.getAuthTag().toString('hex'),
+    encrypted.toString('hex')
+  ].join(':');
 }
 
-// Decrypt data
+// Decrypt data. Returns null if the data was tampered with, is corrupted or
+// was encrypted with another key.
 function decrypt(encryptedData, key) {
   try {
-    const parts = encryptedData.split(':');
-    const iv = Buffer.from(parts[0], 'hex');
-    const encrypted = parts[1];
-    const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
+    const parts = encryptedData.trim().split(':');
+    if (parts[0] === ENVELOPE_VERSION && parts.length === 4) {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(parts[1], 'hex'));
+      decipher.setAuthTag(Buffer.from(parts[2], 'hex'));
+      return Buffer.concat([
+        decipher.update(Buffer.from(parts[3], 'hex')),
+        decipher.final()
+      ]).toString('utf8');
+    }
+    if (parts.length === 2) {
+      const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(parts[0], 'hex'));
+      let decrypted = decipher.update(parts[1], 'hex', 'utf8');
+      decrypted += decipher.final('utf8');
+      return decrypted;
+    }
+    throw new Error('Unknown encryption format');
   } catch (error) {
-    console.error('Decryption error:', error);
+    console.error('Decryption error:', error.message);
     return null;
   }
 }
 
-module.exports = { getEncryptionKey, encrypt, decrypt };
+// True for data encrypted in the old unversioned CBC format
+function isLegacyEncryption(encryptedData) {
+  return !encryptedData.trim().startsWith(ENVELOPE_VERSION + ':');
+}
+
+// Derive a key from a password with a new salt. The returned params are
+// stored next to the encrypted data so the key can be derived again.
+async function createPasswordKey(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await deriveKey(password, salt, KDF_PARAMS);
+  return { key, params: { kdf: 'scrypt', ...KDF_PARAMS, salt: salt.toString('hex') } };
+}
+
+function derivePasswordKey(password, params) {
+  return deriveKey(password, Buffer.from(params.salt, 'hex'), { N: params.N, r: params.r, p: params.p });
+}
+
+// Encrypt text with a password instead of the data key (for files that leave this machine)
+async function encryptWithPassword(text, password) {
+  const { key, params } = await createPasswordKey(password);
+  return { ...params, data: encrypt(text, key) };
+}
+
+// Returns null if the password is wrong or the data was changed
+async function decryptWithPassword(payload, password) {
+  const key = await derivePasswordKey(password, payload);
+  return decrypt(payload.data, key);
+}
+
+// Hash clipboard content (used to detect duplicate images without comparing raw buffers)
+function hashContent(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+module.exports = {
+  getKeyFile,
+  getEncryptionKey,
+  generateEncryptionKey,
+  saveEncryptionKey,
+  hasMasterPassword,
+  unlockEncryptionKey,
+  setMasterPassword,
+  removeMasterPassword,
+  encrypt,
+  decrypt,
+  isLegacyEncryption,
+  createPasswordKey,
+  derivePasswordKey,
+  encryptWithPassword,
+  decryptWithPassword,
+  hashContent
+};
 
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
+const { exec, execFile } = require('child_process');
+const { promisify } = require('util');
+const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Read and write copied files/folders on the system clipboard.
+// Every platform stores file lists in its own format, so each one is handled separately.
+
+const MIME_TYPES = {
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tar': 'application/x-tar',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// Windows only exposes the first file through FileNameW, so the full list is
+// fetched through PowerShell - but only when that first file changes
+let lastWindowsFileName = '';
+let lastWindowsFileList = [];
+
+// Convert a list of file:// URIs (one per line) to paths
+function parseUriList(data) {
+  return data
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.startsWith('file://'))
+    .map(line => {
+      try {
+        return fileURLToPath(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function encodeXmlEntities(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Get the paths of the files currently on the clipboard (empty array if none)
+async function readFilePaths(clipboard) {
+  try {
+    if (process.platform === 'darwin') {
+      // macOS: property list with one <string> per file
+      const plist = clipboard.read('NSFilenamesPboardType');
+      if (plist) {
+        const matches = plist.match(/<string>[\s\S]*?<\/string>/g) || [];
+        return matches.map(match => decodeXmlEntities(match.replace(/<\/?string>/g, '')));
+      }
+      const fileUrl = clipboard.read('public.file-url');
+      return fileUrl ? parseUriList(fileUrl) : [];
+    } else if (process.platform === 'win32') {
+      // Windows: FileNameW holds the first file as a null-terminated UTF-16 string
+      const fileName = clipboard.readBuffer('FileNameW').toString('ucs2').replace(/\0/g, '').trim();
+      if (!fileName) {
+        lastWindowsFileName = '';
+        lastWindowsFileList = [];
+        return [];
+      }
+      if (fileName !== lastWindowsFileName) {
+        lastWindowsFileName = fileName;
+        lastWindowsFileList = [fileName];
+        try {
+          const { stdout } = await execAsync('powershell -NoProfile -command "Get-Clipboard -Format FileDropList | ForEach-Object { $_.FullName }"');
+          const paths = stdout.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+          if (paths.length > 0) {
+            lastWindowsFileList = paths;
+          }
+        } catch (error) {
+          console.warn('Could not read full file list, using first file only:', error.message);
+        }
+      }
+      return lastWindowsFileList;
+    } else {
+      // Linux: file managers put file:// URIs in text/uri-list
+      // (GNOME also uses x-special/gnome-copied-files with a "copy"/"cut" header line)
+      const uriList = clipboard.read('text/uri-list') || clipboard.read('x-special/gnome-copied-files');
+      return uriList ? parseUriList(uriList) : [];
+    }
+  } catch (error) {
+    console.error('Error reading files from clipboard:', error);
+    return [];
+  }
+}
+
+// Put file references back on the system clipboard
+async function writeFilePaths(clipboard, paths) {
+  if (process.platform === 'darwin') {
+    const entries = paths.map(p => `<string>${encodeXmlEntities(p)}</string>`).join('');
+    const plist = '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">' +
+      `<plist version="1.0"><array>${entries}</array></plist>`;
+    clipboard.writeBuffer('NSFilenamesPboardType', Buffer.from(plist, 'utf8'));
+  } else if (process.platform === 'win32') {
+    // Explorer only pastes a real file drop list, which Electron can't write directly.
+    // The script goes to PowerShell encoded and without cmd.exe, so % and " in paths
+    // are never expanded, and single-quoted PowerShell strings take them literally.
+    const quoted = paths.map(p => `'${p.replace(/'/g, "''")}'`).join(',');
+    const script = `Set-Clipboard -LiteralPath ${quoted}`;
+    await execFileAsync('powershell', [
+      '-NoProfile',
+      '-NonInteractive',
+      '-EncodedCommand',
+      Buffer.from(script, 'utf16le').toString('base64')
+    ], { windowsHide: true });
+    lastWindowsFileName = paths[0];
+    lastWindowsFileList = paths;
+  } else {
+    const uris = paths.map(p => pathToFileURL(p).href);
+    // Every writeBuffer() call replaces the clipboard, so only one format can be set:
+    // GNOME-based file managers (Nautilus, Nemo, Caja) paste x-special/gnome-copied-files,
+    // the others (Dolphin, Thunar, PCManFM) text/uri-list
+    if (usesGnomeCopiedFiles()) {
+      clipboard.writeBuffer('x-special/gnome-copied-files', Buffer.from(['copy'].concat(uris).join('\n'), 'utf8'));
+    } else {
+      clipboard.writeBuffer('text/uri-list', Buffer.from(uris.join('\r\n'), 'utf8'));
+    }
+  }
+}
+
+const GNOME_DESKTOPS = ['gnome', 'unity', 'cinnamon', 'mate', 'budgie', 'pantheon', 'ubuntu'];
+
+function usesGnomeCopiedFiles(env = process.env) {
+  const desktops = (env.XDG_CURRENT_DESKTOP || env.DESKTOP_SESSION || '').toLowerCase().split(':');
+  return desktops.some(desktop => GNOME_DESKTOPS.some(name => desktop.includes(name)));
+}
+
+// Look up size and type for each copied path
+function getFileMetadata(paths) {
+  return paths.map(filePath => {
+    const info = {
+      path: filePath,
+      name: path.basename(filePath) || filePath,
+      size: null,
+      mime: null,
+      isDirectory: false,
+      exists: false
+    };
+
+    try {
+      const stats = fs.statSync(filePath);
+      info.exists = true;
+      info.isDirectory = stats.isDirectory();
+      if (info.isDirectory) {
+        info.mime = 'inode/directory';
+      } else {
+        info.size = stats.size;
+        info.mime = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+      }
+    } catch (error) {
+      // File may have been moved or deleted since it was copied
+    }
+
+    return info;
+  });
+}
+
+module.exports = { readFilePaths, writeFilePaths, getFileMetadata };
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+const { copyFileAtomic } = require('./atomic-write');
+
+// Rotating timestamped snapshots of the history log.
+// Backups are named history-<timestamp>.log so they sort by age.
+const BACKUP_PATTERN = /^history-(\d+)\.log$/;
+
+// Backups in the folder, newest first
+function listBackups(backupDir) {
+  if (!fs.existsSync(backupDir)) return [];
+  return fs.readdirSync(backupDir)
+    .map(name => {
+      const match = name.match(BACKUP_PATTERN);
+      if (!match) return null;
+      const file = path.join(backupDir, name);
+      return { name, file, createdAt: parseInt(match[1]), size: fs.statSync(file).size };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Snapshot the log and delete the oldest backups beyond `keep`
+function createBackup(sourceFile, backupDir, keep) {
+  if (!fs.existsSync(sourceFile)) return null;
+  fs.mkdirSync(backupDir, { recursive: true, mode: 0o700 });
+
+  const backupFile = path.join(backupDir, `history-${Date.now()}.log`);
+  copyFileAtomic(sourceFile, backupFile);
+  listBackups(backupDir).slice(keep).forEach(backup => fs.rmSync(backup.file, { force: true }));
+  return backupFile;
+}
+
+// Find a backup by name (only names from listBackups are accepted)
+function getBackup(backupDir, name) {
+  return listBackups(backupDir).find(backup => backup.name === name) || null;
+}
+
+function restoreBackup(backup, targetFile) {
+  copyFileAtomic(backup.file, targetFile);
+}
+
+function deleteBackups(backupDir) {
+  listBackups(backupDir).forEach(backup => fs.rmSync(backup.file, { force: true }));
+}
+
+module.exports = { listBackups, createBackup, getBackup, restoreBackup, deleteBackups };
@@ -0,0 +1,222 @@
+const path = require('path');
+const { encryptWithPassword, decryptWithPassword } = require('./crypto-utils');
+
+// Export history items to JSON, CSV, a Markdown digest or a password-encrypted
+// archive, and read them back (Markdown is a digest for people, it can't be imported).
+
+const EXPORT_FORMATS = {
+  json: { name: 'JSON', extension: 'json' },
+  csv: { name: 'CSV', extension: 'csv' },
+  markdown: { name: 'Markdown', extension: 'md' },
+  archive: { name: 'Encrypted Archive', extension: 'economos', encrypted: true }
+};
+
+const CSV_COLUMNS = ['id', 'timestamp', 'type', 'category', 'pinned', 'text'];
+
+// Full items with all metadata (formats, image data, file info...)
+function toJson(items) {
+  return JSON.stringify({
+    format: 'economos-history',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    count: items.length,
+    items
+  }, null, 2);
+}
+
+function escapeCsvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per item; images have no text, so only their metadata is exported
+function toCsv(items) {
+  const rows = items.map(item => [
+    item.id,
+    new Date(item.timestamp).toISOString(),
+    item.type || 'text',
+    item.category || 'other',
+    item.pinned ? 'true' : 'false',
+    item.text
+  ].map(escapeCsvField).join(','));
+  return [CSV_COLUMNS.join(',')].concat(rows).join('\r\n') + '\r\n';
+}
+
+// Fence that can't be closed by backticks inside the text
+function getCodeFence(text) {
+  const runs = text.match(/`+/g) || [];
+  const longest = runs.reduce((max, run) => Math.max(max, run.length), 0);
+  return '`'.repeat(Math.max(3, longest + 1));
+}
+
+// Human-readable digest grouped by day, e.g. to attach to a ticket
+function toMarkdown(items) {
+  const lines = [
+    '# Clipboard History',
+    '',
+    `_Exported ${new Date().toLocaleString()} · ${items.length} item${items.length === 1 ? '' : 's'}_`
+  ];
+  let currentDay = null;
+
+  items.forEach(item => {
+    const date = new Date(item.timestamp);
+    const day = date.toDateString();
+    if (day !== currentDay) {
+      currentDay = day;
+      lines.push('', `## ${day}`);
+    }
+
+    const source = item.sourceApp ? ` · from ${item.sourceApp}` : '';
+    lines.push('', `### ${date.toLocaleTimeString()} · ${item.category || 'other'}${source}${item.pinned ? ' · 📌' : ''}`, '');
+    if (item.type === 'image') {
+      lines.push(`_Image (${item.width} × ${item.height})_`);
+    } else if (item.type === 'file') {
+      item.text.split('\n').forEach(filePath => lines.push(`- \`${filePath}\``));
+    } else {
+      const fence = getCodeFence(item.text);
+      lines.push(fence, item.text, fence);
+    }
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// Detected secrets are left out of the plain formats (a Markdown digest ends up
+// attached to tickets) unless includeSensitive is set; the encrypted archive keeps them
+function getExportableItems(items, format, { includeSensitive = false } = {}) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (includeSensitive || (exportFormat && exportFormat.encrypted)) return items;
+  return items.filter(item => !item.sensitive);
+}
+
+async function exportItems(items, format, { password } = {}) {
+  switch (format) {
+    case 'json':
+      return toJson(items);
+    case 'csv':
+      return toCsv(items);
+    case 'markdown':
+      return toMarkdown(items);
+    case 'archive': {
+      if (!password) {
+        throw new Error('A password is required for encrypted archives');
+      }
+      const encrypted = await encryptWithPassword(toJson(items), password);
+      return JSON.stringify({ format: 'economos-archive', version: 1, ...encrypted });
+    }
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+function parseJsonSafe(content) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+}
+
+function isEncryptedArchive(content) {
+  const data = parseJsonSafe(content);
+  return !!data && data.format === 'economos-archive';
+}
+
+// RFC 4180 parser: quoted fields may contain commas, quotes and line breaks
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function itemsFromCsv(content) {
+  const [header, ...rows] = parseCsv(content);
+  if (!header || header.join(',') !== CSV_COLUMNS.join(',')) {
+    throw new Error('Not a clipboard history CSV export');
+  }
+
+  return rows
+    .filter(row => row.length === CSV_COLUMNS.length)
+    .map(row => {
+      const values = {};
+      CSV_COLUMNS.forEach((column, index) => {
+        values[column] = row[index];
+      });
+      return {
+        id: values.id,
+        timestamp: Date.parse(values.timestamp),
+        type: values.type,
+        category: values.category,
+        pinned: values.pinned === 'true',
+        text: values.text
+      };
+    });
+}
+
+function itemsFromJson(data) {
+  const items = Array.isArray(data) ? data : data.items;
+  if (!Array.isArray(items)) {
+    throw new Error('Not a clipboard history JSON export');
+  }
+  return items;
+}
+
+// Read items from an exported file. Encrypted archives need the password.
+async function readExportedItems(content, filePath, { password } = {}) {
+  const data = parseJsonSafe(content);
+
+  if (data && data.format === 'economos-archive') {
+    if (!password) {
+      throw new Error('A password is required to open this archive');
+    }
+    const json = await decryptWithPassword(data, password);
+    if (!json) {
+      throw new Error('Wrong password, or the archive is damaged');
+    }
+    return { format: 'archive', items: itemsFromJson(JSON.parse(json)) };
+  }
+  if (data) {
+    return { format: 'json', items: itemsFromJson(data) };
+  }
+
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.md') {
+    throw new Error('Markdown digests can\'t be imported, export as JSON, CSV or an archive instead');
+  }
+  return { format: 'csv', items: itemsFromCsv(content) };
+}
+
+module.exports = { EXPORT_FORMATS, getExportableItems, exportItems, readExportedItems, isEncryptedArchive };
@@ -0,0 +1,470 @@
+const fs = require('fs');
+const { encrypt, decrypt, isLegacyEncryption } = require('./crypto-utils');
+const { writeFileAtomic } = require('./atomic-write');
+
+// Compact the log once it holds this many superseded records (and more dead than live ones)
+const MIN_DEAD_RECORDS_FOR_COMPACTION = 1000;
+// ...or this many bytes of superseded records (and more dead than live bytes), since a few
+// replaced or deleted images take more space than thousands of text records
+const MIN_DEAD_BYTES_FOR_COMPACTION = 32 * 1024 * 1024;
+// The log is read in chunks, it can be larger than the longest string Node can hold
+const READ_CHUNK_SIZE = 1024 * 1024;
+const NEWLINE = 0x0a;
+
+// 'plain' JSON, 'legacy' CBC envelope or 'current' authenticated envelope
+function getRecordFormat(line) {
+  if (line.startsWith('{')) return 'plain';
+  return isLegacyEncryption(line) ? 'legacy' : 'current';
+}
+
+// Call onLine(line, byteLength) for every complete line of the file (byteLength includes
+// the newline). Returns the number of bytes in complete lines: anything after them is a
+// last line without its newline.
+function readLines(filePath, onLine) {
+  const fd = fs.openSync(filePath, 'r');
+  const chunk = Buffer.alloc(READ_CHUNK_SIZE);
+  let partial = []; // pieces of the line that continues into the next chunk
+  let complete = 0;
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+      const data = chunk.subarray(0, bytesRead);
+      let start = 0;
+      let newline;
+      while ((newline = data.indexOf(NEWLINE, start)) !== -1) {
+        partial.push(data.subarray(start, newline));
+        const line = Buffer.concat(partial);
+        partial = [];
+        start = newline + 1;
+        complete += line.length + 1;
+        onLine(line.toString('utf8'), line.length + 1);
+      }
+      if (start < data.length) {
+        // Copied, the chunk buffer is reused for the next read
+        partial.push(Buffer.from(data.subarray(start)));
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return complete;
+}
+
+// Clipboard history storage backed by an append-only log.
+// Each line is one operation ({ op: 'put' | 'del' | 'clear' }), optionally encrypted,
+// so a new copy only appends a line instead of rewriting the whole history.
+// The log is replayed into memory on load and indexed by timestamp and category.
+class HistoryStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.key = null;
+    this.encrypt = false;
+    this.persist = true;
+    this.reset();
+  }
+
+  reset() {
+    this.items = new Map(); // id -> item
+    this.timeline = []; // item ids, newest first
+    this.categories = new Map(); // category -> Set of ids
+    this.sizes = new Map(); // id -> serialized size in bytes
+    this.expiring = new Set(); // ids of items with an expiresAt time
+    this.totalSize = 0;
+    this.deadRecords = 0;
+    this.recordSizes = new Map(); // id -> bytes of the item's live put record in the log
+    this.logSize = 0; // bytes in the log
+    this.deadBytes = 0; // bytes of superseded records in the log
+  }
+
+  // key: Buffer used to read encrypted records (and write them when encrypt is true)
+  // persist: false keeps everything in memory only
+  configure({ key = null, encrypt = false, persist = true } = {}) {
+    this.key = key;
+    this.encrypt = encrypt && !!key;
+    this.persist = persist;
+  }
+
+  get count() {
+    return this.items.size;
+  }
+
+  // Replay the log into memory.
+  // skipped: records that could not be read (corrupted, tampered with or wrong key)
+  // unencrypted: plain records left out because encryption is on
+  // legacy: records in the old CBC format that should be rewritten
+  // torn: a last record cut off by a crash while it was written (dropped from the file)
+  load() {
+    this.reset();
+    const stats = { records: 0, skipped: 0, unencrypted: 0, legacy: 0, torn: 0 };
+    if (!this.persist || !fs.existsSync(this.filePath)) {
+      return stats;
+    }
+
+    // Every record is written with its newline in one go, so a last line without one
+    // never finished writing. It isn't a sign of tampering, just cut it off.
+    let hasCurrent = false;
+    const complete = readLines(this.filePath, line => {
+      if (!hasCurrent && line !== '' && getRecordFormat(line) === 'current') hasCurrent = true;
+    });
+    if (complete < fs.statSync(this.filePath).size) {
+      fs.truncateSync(this.filePath, complete);
+      stats.torn = 1;
+    }
+    // Compaction rewrites the whole log in one format, and turning encryption on rewrites
+    // it encrypted, so plain records in an encrypted log weren't written by us: anyone
+    // could have written them. CBC records are only read from a log that hasn't been
+    // migrated yet, once it holds authenticated records they can't be told from forged ones.
+    const authenticated = this.encrypt && hasCurrent;
+    readLines(this.filePath, (line, byteLength) => {
+      this.logSize += byteLength;
+      if (line.trim() === '') {
+        this.deadBytes += byteLength;
+        return;
+      }
+      const format = getRecordFormat(line);
+      let record = null;
+      if (this.encrypt && format === 'plain') {
+        stats.unencrypted++;
+      } else if (authenticated && format !== 'current') {
+        stats.skipped++;
+      } else {
+        record = this.parseRecord(line);
+        // Unreadable record (e.g. a write cut off by a crash), keep going
+        if (!record) stats.skipped++;
+      }
+      if (!record) {
+        this.deadBytes += byteLength;
+        return;
+      }
+      this.applyRecord(record, byteLength);
+      stats.records++;
+      if (format === 'legacy') {
+        stats.legacy++;
+      }
+    });
+
+    this.deadRecords = Math.max(0, stats.records - this.items.size);
+    return stats;
+  }
+
+  parseRecord(line) {
+    try {
+      // Plain records are JSON objects, anything else is an encrypted envelope
+      if (line.startsWith('{')) {
+        return JSON.parse(line);
+      }
+      if (!this.key) return null;
+      const decrypted = decrypt(line, this.key);
+      return decrypted ? JSON.parse(decrypted) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  serializeRecord(record) {
+    const json = JSON.stringify(record);
+    return this.encrypt ? encrypt(json, this.key) : json;
+  }
+
+  // byteLength: size of the record's line in the log, to know how much of it is dead
+  applyRecord(record, byteLength) {
+    if (record.op === 'put' && record.item) {
+      this.index(record.item);
+      this.addDeadBytes([record.item.id]);
+      this.recordSizes.set(record.item.id, byteLength);
+    } else if (record.op === 'del' && Array.isArray(record.ids)) {
+      const removed = record.ids.filter(id => this.unindex(id));
+      this.addDeadBytes(removed);
+      this.deadBytes += byteLength;
+    } else if (record.op === 'clear') {
+      this.clearIndexes();
+      this.recordSizes.clear();
+      this.deadBytes = this.logSize;
+    } else {
+      this.deadBytes += byteLength;
+    }
+  }
+
+  // The put records of these items are superseded
+  addDeadBytes(ids) {
+    ids.forEach(id => {
+      this.deadBytes += this.recordSizes.get(id) || 0;
+      this.recordSizes.delete(id);
+    });
+  }
+
+  // Flushed to disk before returning, so a record that was reported saved survives a crash.
+  // Several records go out in one write and one fsync. Returns the size of each record's line.
+  appendRecords(records) {
+    if (!this.persist) return records.map(() => 0);
+    const lines = records.map(record => Buffer.from(this.serializeRecord(record) + '\n', 'utf8'));
+    const fd = fs.openSync(this.filePath, 'a', 0o600);
+    try {
+      fs.writeFileSync(fd, Buffer.concat(lines));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    const sizes = lines.map(line => line.length);
+    sizes.forEach(size => {
+      this.logSize += size;
+    });
+    return sizes;
+  }
+
+  // Position of the first timeline entry that is not newer than the given timestamp
+  findInsertPosition(timestamp) {
+    let low = 0;
+    let high = this.timeline.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.items.get(this.timeline[mid]).timestamp > timestamp) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  index(item) {
+    if (this.items.has(item.id)) {
+      this.unindex(item.id);
+    }
+
+    const position = this.findInsertPosition(item.timestamp);
+    this.items.set(item.id, item);
+    this.timeline.splice(position, 0, item.id);
+
+    const category = item.category || 'other';
+    if (!this.categories.has(category)) {
+      this.categories.set(category, new Set());
+    }
+    this.categories.get(category).add(item.id);
+
+    const size = Buffer.byteLength(JSON.stringify(item));
+    this.sizes.set(item.id, size);
+    this.totalSize += size;
+    
+    if (item.expiresAt) {
+      this.expiring.add(item.id);
+    }
+  }
+
+  unindex(id) {
+    const item = this.items.get(id);
+    if (!item) return false;
+
+    // Items with the same timestamp sit next to each other, scan from the first one
+    let position = this.findInsertPosition(item.timestamp);
+    while (position < this.timeline.length && this.timeline[position] !== id) {
+      position++;
+    }
+    if (position >= this.timeline.length) {
+      // The item's timestamp was changed in place, fall back to a full scan
+      position = this.timeline.indexOf(id);
+    }
+    if (position !== -1) {
+      this.timeline.splice(position, 1);
+    }
+
+    const category = item.category || 'other';
+    const ids = this.categories.get(category);
+    if (ids) {
+      ids.delete(id);
+      if (ids.size === 0) this.categories.delete(category);
+    }
+
+    this.totalSize -= this.sizes.get(id) || 0;
+    this.sizes.delete(id);
+    this.expiring.delete(id);
+    this.items.delete(id);
+    return true;
+  }
+
+  clearIndexes() {
+    this.items.clear();
+    this.timeline = [];
+    this.categories.clear();
+    this.sizes.clear();
+    this.expiring.clear();
+    this.totalSize = 0;
+  }
+
+  // All items, newest first
+  all() {
+    return this.timeline.map(id => this.items.get(id));
+  }
+
+  latest() {
+    return this.timeline.length > 0 ? this.items.get(this.timeline[0]) : null;
+  }
+
+  get(id) {
+    return this.items.get(id) || null;
+  }
+
+  has(id) {
+    return this.items.has(id);
+  }
+
+  // Items whose timestamp is older than the given time, newest first
+  olderThan(timestamp) {
+    const position = this.findInsertPosition(timestamp - 1);
+    return this.timeline.slice(position).map(id => this.items.get(id));
+  }
+
+  // Items whose own expiresAt time has passed
+  expiredAt(now) {
+    return Array.from(this.expiring)
+      .map(id => this.items.get(id))
+      .filter(item => item.expiresAt <= now);
+  }
+
+  // Ids of the items past the first `limit` (the oldest ones)
+  idsBeyond(limit) {
+    return this.timeline.slice(limit);
+  }
+
+  // Ids of the oldest items that don't fit in maxBytes (newest items are kept first)
+  idsBeyondSize(maxBytes) {
+    let used = 0;
+    for (let i = 0; i < this.timeline.length; i++) {
+      used += this.sizes.get(this.timeline[i]) || 0;
+      if (used > maxBytes) {
+        return this.timeline.slice(i);
+      }
+    }
+    return [];
+  }
+
+  byCategory(category) {
+    const ids = this.categories.get(category);
+    if (!ids) return [];
+    return Array.from(ids)
+      .map(id => this.items.get(id))
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  // Insert a new item or replace an existing one with the same id
+  put(item) {
+    this.putMany([item]);
+  }
+
+  // Insert or replace several items with a single write to the log (imports, sync, bulk edits)
+  putMany(items) {
+    if (items.length === 0) return;
+    items.forEach(item => {
+      if (this.items.has(item.id)) {
+        this.deadRecords++;
+      }
+      this.index(item);
+    });
+    const sizes = this.appendRecords(items.map(item => ({ op: 'put', item })));
+    items.forEach((item, index) => {
+      this.addDeadBytes([item.id]);
+      this.recordSizes.set(item.id, sizes[index]);
+    });
+    this.compactIfNeeded();
+  }
+
+  // Remove items by id, returns the ids that were actually removed
+  remove(ids) {
+    const removed = ids.filter(id => this.unindex(id));
+    if (removed.length > 0) {
+      this.deadRecords += removed.length + 1;
+      this.addDeadBytes(removed);
+      this.deadBytes += this.appendRecords([{ op: 'del', ids: removed }])[0];
+      this.compactIfNeeded();
+    }
+    return removed;
+  }
+
+  clear() {
+    this.clearIndexes();
+    this.recordSizes.clear();
+    if (this.persist) {
+      // Nothing left to keep, start a fresh log instead of appending a clear record
+      this.compact();
+    }
+  }
+
+  compactIfNeeded() {
+    if ((this.deadRecords >= MIN_DEAD_RECORDS_FOR_COMPACTION && this.deadRecords > this.items.size) ||
+        (this.deadBytes >= MIN_DEAD_BYTES_FOR_COMPACTION && this.deadBytes > this.logSize - this.deadBytes)) {
+      this.compact();
+    }
+  }
+
+  // Keep a copy of the log as it is on disk (e.g. before unreadable records are dropped)
+  backup(suffix) {
+    if (!this.persist || !fs.existsSync(this.filePath)) return null;
+    const backupFile = `${this.filePath}.${suffix}`;
+    fs.copyFileSync(this.filePath, backupFile);
+    return backupFile;
+  }
+
+  // Rewrite the log with one record per live item (oldest first so replay keeps order).
+  // Records are serialized one at a time while writing, never the whole log at once.
+  compact() {
+    if (!this.persist) return;
+
+    const recordSizes = new Map();
+    writeFileAtomic(this.filePath, this.liveRecordLines(recordSizes), { mode: 0o600 });
+    this.recordSizes = recordSizes;
+    this.logSize = Array.from(recordSizes.values()).reduce((sum, size) => sum + size, 0);
+    this.deadBytes = 0;
+    this.deadRecords = 0;
+  }
+
+  // The compacted log's lines, serialized as they are written. Their sizes go into recordSizes.
+  *liveRecordLines(recordSizes) {
+    for (const id of this.timeline.slice().reverse()) {
+      const line = Buffer.from(this.serializeRecord({ op: 'put', item: this.items.get(id) }) + '\n', 'utf8');
+      recordSizes.set(id, line.length);
+      yield line;
+    }
+  }
+
+  // Import the old whole-file JSON history (plain or encrypted) the first time the log is used.
+  // The old files are renamed to *.migrated rather than deleted. Returns null if there was
+  // nothing to migrate, and { failed: true, source } if the encrypted file can't be read:
+  // both files are then left alone, a stale plain file is not taken in its place.
+  migrateLegacyFiles(jsonFile, encryptedFile, key) {
+    if (!this.persist || fs.existsSync(this.filePath)) {
+      return null;
+    }
+
+    let data = null;
+    let source = null;
+    if (fs.existsSync(encryptedFile)) {
+      data = key ? decrypt(fs.readFileSync(encryptedFile, 'utf8'), key) : null;
+      source = encryptedFile;
+      if (!data) {
+        return { failed: true, source };
+      }
+    }
+    if (!data && fs.existsSync(jsonFile)) {
+      data = fs.readFileSync(jsonFile, 'utf8');
+      source = jsonFile;
+    }
+    if (!data) {
+      return null;
+    }
+
+    const items = JSON.parse(data);
+    this.reset();
+    items.forEach(item => this.index(item));
+    this.compact();
+
+    [jsonFile, encryptedFile].forEach(file => {
+      if (fs.existsSync(file)) {
+        fs.renameSync(file, file + '.migrated');
+      }
+    });
+
+    return { count: items.length, source };
+  }
+}
+
+module.exports = HistoryStore;
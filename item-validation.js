@@ -0,0 +1,138 @@
+// Checks for history items and clips that come from outside this device's own capture:
+// import files, the sync folder and paired LAN devices.
+//
+// Items are rebuilt from the known fields only, with each field checked for its type,
+// so nothing unexpected reaches the history log or the window. Image data has to be
+// a PNG or JPEG data URL, since it ends up in an <img src>.
+
+const ITEM_TYPES = ['text', 'image', 'file'];
+const ITEM_CATEGORIES = [
+  'password', 'code', 'command', 'email', 'link', 'note', 'number',
+  'json', 'xml', 'html', 'image', 'file', 'other'
+];
+
+const ITEM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+const IMAGE_DATA_URL_PATTERN = /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/=]+$/;
+
+function isString(value) {
+  return typeof value === 'string';
+}
+
+function isTime(value) {
+  return Number.isFinite(value) && value > 0;
+}
+
+function isItemId(value) {
+  return isString(value) && ITEM_ID_PATTERN.test(value);
+}
+
+function isCategory(value) {
+  return ITEM_CATEGORIES.includes(value);
+}
+
+function isImageDataUrl(value) {
+  return isString(value) && IMAGE_DATA_URL_PATTERN.test(value);
+}
+
+function isImageSize(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function sanitizeFormats(formats) {
+  if (!formats || typeof formats !== 'object') return undefined;
+  const clean = {};
+  if (isString(formats.html) && formats.html !== '') clean.html = formats.html;
+  if (isString(formats.rtf) && formats.rtf !== '') clean.rtf = formats.rtf;
+  return Object.keys(clean).length > 0 ? clean : undefined;
+}
+
+function sanitizeFile(file) {
+  if (!file || typeof file !== 'object' || !isString(file.path) || file.path === '') return null;
+  return {
+    path: file.path,
+    name: isString(file.name) && file.name !== '' ? file.name : file.path,
+    size: Number.isFinite(file.size) && file.size >= 0 ? file.size : null,
+    mime: isString(file.mime) ? file.mime : null,
+    isDirectory: file.isDirectory === true,
+    exists: file.exists === true
+  };
+}
+
+// The contents of a clip ({ type, text, formats } or the image fields), as shared
+// between devices, with only the known fields. Null if they aren't usable.
+function sanitizeEntry(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const type = entry.type === undefined ? 'text' : entry.type;
+  if (!ITEM_TYPES.includes(type)) return null;
+
+  const clean = { type };
+  if (type === 'image') {
+    if (!isImageDataUrl(entry.image) || !isImageSize(entry.width) || !isImageSize(entry.height)) return null;
+    if (!isString(entry.hash) || !HASH_PATTERN.test(entry.hash)) return null;
+    if (entry.thumbnail !== undefined && !isImageDataUrl(entry.thumbnail)) return null;
+    clean.text = '';
+    clean.image = entry.image;
+    clean.thumbnail = entry.thumbnail || entry.image;
+    clean.width = entry.width;
+    clean.height = entry.height;
+    clean.hash = entry.hash;
+  } else {
+    if (!isString(entry.text) || entry.text.trim() === '') return null;
+    clean.text = entry.text;
+  }
+
+  if (type === 'text') {
+    const formats = sanitizeFormats(entry.formats);
+    if (formats) clean.formats = formats;
+  }
+  if (type === 'file' && Array.isArray(entry.files)) {
+    clean.files = entry.files.map(sanitizeFile).filter(Boolean);
+  }
+  return clean;
+}
+
+// Copy of a history item with only the known fields, or null if it isn't a usable item.
+// A missing or unknown category is left out, so the caller can pick one.
+function sanitizeItem(item) {
+  if (!item || typeof item !== 'object') return null;
+  if (!isItemId(item.id) || !isTime(item.timestamp)) return null;
+  const entry = sanitizeEntry(item);
+  if (!entry) return null;
+
+  const clean = { id: item.id, ...entry, timestamp: item.timestamp };
+  if (entry.type !== 'text') {
+    clean.category = entry.type;
+  } else if (isCategory(item.category)) {
+    clean.category = item.category;
+  }
+
+  if (isTime(item.capturedAt)) clean.capturedAt = item.capturedAt;
+  clean.pinned = item.pinned === true;
+  if (clean.pinned && isTime(item.pinnedAt)) clean.pinnedAt = item.pinnedAt;
+
+  const sensitive = Array.isArray(item.sensitive) ? item.sensitive.filter(isString) : [];
+  if (sensitive.length > 0) clean.sensitive = sensitive;
+  if (isTime(item.expiresAt)) clean.expiresAt = item.expiresAt;
+  if (item.redacted === true) clean.redacted = true;
+
+  if (isString(item.sourceApp) && item.sourceApp !== '') clean.sourceApp = item.sourceApp;
+  if (isString(item.sourceWindowTitle) && item.sourceWindowTitle !== '') {
+    clean.sourceWindowTitle = item.sourceWindowTitle;
+  }
+  if (item.selection === 'primary') clean.selection = 'primary';
+  if (item.sourceDevice && isString(item.sourceDevice.id) && isString(item.sourceDevice.name)) {
+    clean.sourceDevice = { id: item.sourceDevice.id, name: item.sourceDevice.name };
+  }
+
+  return clean;
+}
+
+module.exports = {
+  ITEM_CATEGORIES,
+  isItemId,
+  isCategory,
+  isImageDataUrl,
+  sanitizeEntry,
+  sanitizeItem
+};
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic, copyFileAtomic } = require('./atomic-write');
+
+// Backup of everything encrypted with the old key, kept while the key is rotated.
+// The manifest is written last, so a backup folder without one was never complete.
+// If the app stops mid-rotation, the backup is restored on the next start.
+const MANIFEST_FILE = 'rotation.json';
+
+// Copy the given files into backupDir before rotating
+function createRotationBackup(backupDir, files) {
+  fs.rmSync(backupDir, { recursive: true, force: true });
+  fs.mkdirSync(backupDir, { recursive: true, mode: 0o700 });
+
+  const backedUp = [];
+  const missing = []; // files that may get created during the rotation
+  files.forEach(file => {
+    if (!fs.existsSync(file)) {
+      missing.push(file);
+      return;
+    }
+    copyFileAtomic(file, path.join(backupDir, path.basename(file)));
+    backedUp.push(file);
+  });
+
+  const manifest = { startedAt: Date.now(), files: backedUp, missing };
+  writeFileAtomic(path.join(backupDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2), { mode: 0o600 });
+  return manifest;
+}
+
+function hasRotationBackup(backupDir) {
+  return fs.existsSync(path.join(backupDir, MANIFEST_FILE));
+}
+
+// Put the backed-up files back in place, returns the restored files
+function restoreRotationBackup(backupDir) {
+  if (!hasRotationBackup(backupDir)) return [];
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(backupDir, MANIFEST_FILE), 'utf8'));
+  manifest.files.forEach(file => {
+    copyFileAtomic(path.join(backupDir, path.basename(file)), file);
+  });
+  manifest.missing.forEach(file => fs.rmSync(file, { force: true }));
+  discardRotationBackup(backupDir);
+  return manifest.files;
+}
+
+// Rotation finished, the old data is no longer needed
+function discardRotationBackup(backupDir) {
+  fs.rmSync(backupDir, { recursive: true, force: true });
+}
+
+module.exports = {
+  createRotationBackup,
+  hasRotationBackup,
+  restoreRotationBackup,
+  discardRotationBackup
+};
@@ -97,5 +97,50 @@ function tryAlternativePaste() {
   }
 }
 
-module.exports = { simulatePaste };
+// Move the cursor left by a number of characters (used for snippet {{cursor}} placement)
+function simulateCursorLeft(count) {
+  if (!count || count <= 0) return true;
+  
+  if (robotjs) {
+    try {
+      for (let i = 0; i < count; i++) {
+        robotjs.keyTap('left');
+      }
+      return true;
+    } catch (error) {
+      console.warn('robotjs failed, trying fallback:', error.message);
+    }
+  }
+  
+  try {
+    if (platform === 'darwin') {
+      // Key code 123 = left arrow
+      exec(`osascript -e 'tell application "System Events" to repeat ${count} times' -e 'key code 123' -e 'end repeat'`,
+        (error) => {
+          if (error) {
+            console.warn('AppleScript cursor move failed:', error.message);
+          }
+        });
+    } else if (platform === 'win32') {
+      exec(`powershell -command "$wshell = New-Object -ComObject wscript.shell; $wshell.SendKeys('{LEFT ${count}}')"`,
+        (error) => {
+          if (error) {
+            console.warn('PowerShell cursor move failed:', error.message);
+          }
+        });
+    } else {
+      exec(`xdotool key --repeat ${count} Left`, (error) => {
+        if (error) {
+          console.warn('Linux cursor move failed. Install xdotool.', error.message);
+        }
+      });
+    }
+    return true;
+  } catch (error) {
+    console.error('Cursor move simulation failed:', error);
+    return false;
+  }
+}
+
+module.exports = { simulatePaste, simulateCursorLeft };
 
@@ -0,0 +1,433 @@
+const net = require('net');
+const os = require('os');
+const crypto = require('crypto');
+const { encrypt, decrypt } = require('./crypto-utils');
+
+// Peer-to-peer clipboard sharing between paired machines on the local network.
+//
+// Every instance listens on a TCP port. Connections carry one JSON message per line.
+//
+// Pairing: the host shows a one-time code, the joining device connects with it.
+// Both sides do an X25519 key exchange and prove they know the code with an HMAC
+// over both public keys (the joining device goes first, a wrong code ends the pairing).
+// The result is a key shared by the two devices only.
+//
+// Sharing: each copy is sent to every paired device as { type: 'clip', from, data },
+// where data is encrypted with that pair's key (AES-256-GCM, so tampered or
+// foreign messages fail to decrypt). Messages carry a send time and an id to stop replays.
+
+const PAIRING_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const PAIRING_CODE_TTL = 5 * 60 * 1000;
+const CONNECT_TIMEOUT = 5000;
+const PAIRING_TIMEOUT = 30 * 1000;
+const MAX_MESSAGE_AGE = 2 * 60 * 1000;
+const MAX_MESSAGE_SIZE = 32 * 1024 * 1024; // images are sent as data URLs
+
+// XXXX-XXXX from an alphabet without look-alike characters (about 40 bits)
+function createPairingCode() {
+  const bytes = crypto.randomBytes(8);
+  const chars = Array.from(bytes, byte => PAIRING_CODE_ALPHABET[byte % PAIRING_CODE_ALPHABET.length]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+function normalizePairingCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Keys for both proofs and the pair key, bound to the exchanged public keys and the code
+function derivePairingKeys(sharedSecret, code, hostPublicKey, joinPublicKey) {
+  const info = Buffer.concat([Buffer.from('economos-lan-pairing'), hostPublicKey, joinPublicKey]);
+  const keys = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, normalizePairingCode(code), info, 96));
+  return {
+    joinProofKey: keys.subarray(0, 32),
+    hostProofKey: keys.subarray(32, 64),
+    pairKey: keys.subarray(64, 96)
+  };
+}
+
+function createProof(key, label) {
+  return crypto.createHmac('sha256', key).update(label).digest('hex');
+}
+
+function proofMatches(key, label, proof) {
+  const expected = Buffer.from(createProof(key, label), 'hex');
+  const actual = Buffer.from(String(proof || ''), 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function createKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+  return { publicKey: publicKey.export({ type: 'spki', format: 'der' }), privateKey };
+}
+
+function computeSharedSecret(privateKey, peerPublicKey) {
+  const publicKey = crypto.createPublicKey({ key: peerPublicKey, type: 'spki', format: 'der' });
+  return crypto.diffieHellman({ privateKey, publicKey });
+}
+
+// Wrap a socket in a line-based JSON channel
+function createChannel(socket) {
+  let buffer = '';
+  const waiting = [];
+  const lines = [];
+  let closedError = null;
+
+  const fail = error => {
+    closedError = closedError || error;
+    waiting.splice(0).forEach(({ reject }) => reject(closedError));
+  };
+
+  socket.setEncoding('utf8');
+  socket.on('data', chunk => {
+    buffer += chunk;
+    if (buffer.length > MAX_MESSAGE_SIZE) {
+      fail(new Error('Message too large'));
+      socket.destroy();
+      return;
+    }
+    let end;
+    while ((end = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 1);
+      if (waiting.length > 0) {
+        waiting.shift().resolve(line);
+      } else {
+        lines.push(line);
+      }
+    }
+  });
+  socket.on('error', fail);
+  socket.on('close', () => fail(new Error('Connection closed')));
+
+  return {
+    send(message) {
+      socket.write(JSON.stringify(message) + '\n');
+    },
+    // Next message from the other side
+    receive() {
+      if (lines.length > 0) {
+        return Promise.resolve(JSON.parse(lines.shift()));
+      }
+      if (closedError) {
+        return Promise.reject(closedError);
+      }
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }))
+        .then(line => JSON.parse(line));
+    },
+    close() {
+      socket.end();
+    }
+  };
+}
+
+function connect(host, port) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    socket.setTimeout(CONNECT_TIMEOUT, () => socket.destroy(new Error(`No answer from ${host}:${port}`)));
+    socket.once('connect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+// Split "host:port" (IPv6 hosts in brackets), using the default port if there is none
+function parseAddress(address, defaultPort) {
+  const match = String(address || '').trim().match(/^\[?([^\]]*?)\]?(?::(\d+))?$/);
+  if (!match || !match[1]) {
+    throw new Error('Enter the other device\'s address, e.g. 192.168.1.20:47653');
+  }
+  return { host: match[1], port: match[2] ? parseInt(match[2]) : defaultPort };
+}
+
+// IPv4 peers connecting to a dual-stack server show up as ::ffff:a.b.c.d
+function normalizeRemoteAddress(address) {
+  return String(address || '').replace(/^::ffff:/, '');
+}
+
+// IPv4 addresses of this machine that other devices can connect to
+function getLocalAddresses() {
+  const addresses = [];
+  Object.values(os.networkInterfaces()).forEach(entries => {
+    (entries || []).forEach(entry => {
+      if (entry.family === 'IPv4' && !entry.internal) {
+        addresses.push(entry.address);
+      }
+    });
+  });
+  return addresses;
+}
+
+class LanSync {
+  constructor() {
+    this.server = null;
+    this.port = null;
+    this.device = null; // { id, name }
+    this.peers = []; // { id, name, host, port, pairedAt }
+    this.keys = {}; // peer id -> pair key (hex)
+    this.pairing = null; // { code, expiresAt } while this device waits to be paired
+    this.recentMessages = new Map(); // message id -> time received, to reject replays
+    this.handlers = {};
+  }
+
+  get isRunning() {
+    return !!this.server;
+  }
+
+  // handlers.onItem(entry, peer): a copy arrived from a paired device
+  // handlers.onPaired(peer, key): pairing finished on this (host) side
+  // handlers.onPeerUpdated(peer): a peer's address changed
+  start({ port, device, peers = [], keys = {}, handlers = {} }) {
+    this.stop();
+    this.device = device;
+    this.peers = peers.map(peer => ({ ...peer }));
+    this.keys = { ...keys };
+    this.handlers = handlers;
+
+    return new Promise((resolve, reject) => {
+      const server = net.createServer(socket => {
+        this.handleConnection(socket).catch(error => {
+          console.warn('LAN sync connection error:', error.message);
+          socket.destroy();
+        });
+      });
+      server.once('error', reject);
+      server.listen(port, () => {
+        server.removeListener('error', reject);
+        server.on('error', error => console.error('LAN sync server error:', error.message));
+        this.server = server;
+        this.port = server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+    this.pairing = null;
+  }
+
+  setPeers(peers, keys) {
+    this.peers = peers.map(peer => ({ ...peer }));
+    this.keys = { ...keys };
+  }
+
+  getAddresses() {
+    return getLocalAddresses().map(address => `${address}:${this.port}`);
+  }
+
+  // Show a one-time code on this device; the other device enters it to pair
+  beginPairing() {
+    if (!this.isRunning) {
+      throw new Error('LAN sharing is not running');
+    }
+    this.pairing = { code: createPairingCode(), expiresAt: Date.now() + PAIRING_CODE_TTL };
+    return { ...this.pairing };
+  }
+
+  cancelPairing() {
+    this.pairing = null;
+  }
+
+  getPairing() {
+    if (this.pairing && this.pairing.expiresAt < Date.now()) {
+      this.pairing = null;
+    }
+    return this.pairing ? { ...this.pairing } : null;
+  }
+
+  async handleConnection(socket) {
+    socket.setTimeout(PAIRING_TIMEOUT, () => socket.destroy());
+    const channel = createChannel(socket);
+    const message = await channel.receive();
+
+    if (message.type === 'pair-hello') {
+      await this.acceptPairing(channel, message, normalizeRemoteAddress(socket.remoteAddress));
+    } else if (message.type === 'clip') {
+      channel.send(this.receiveClip(message, normalizeRemoteAddress(socket.remoteAddress)));
+    } else {
+      channel.send({ ok: false, error: 'Unknown message' });
+    }
+    channel.close();
+  }
+
+  // Host side of the pairing exchange
+  async acceptPairing(channel, hello, remoteAddress) {
+    const pairing = this.getPairing();
+    if (!pairing) {
+      channel.send({ type: 'pair-error', error: 'The other device is not waiting to be paired' });
+      return;
+    }
+    // One attempt per code, whatever the outcome
+    this.pairing = null;
+
+    const keyPair = createKeyPair();
+    const joinPublicKey = Buffer.from(hello.publicKey, 'base64');
+    const keys = derivePairingKeys(
+      computeSharedSecret(keyPair.privateKey, joinPublicKey),
+      pairing.code, keyPair.publicKey, joinPublicKey
+    );
+    channel.send({ type: 'pair-challenge', device: this.device, publicKey: keyPair.publicKey.toString('base64') });
+
+    const proof = await channel.receive();
+    if (proof.type !== 'pair-proof' || !proofMatches(keys.joinProofKey, 'join', proof.proof)) {
+      channel.send({ type: 'pair-error', error: 'Wrong pairing code' });
+      return;
+    }
+    channel.send({ type: 'pair-proof', proof: createProof(keys.hostProofKey, 'host') });
+
+    const peer = {
+      id: hello.device.id,
+      name: hello.device.name,
+      host: remoteAddress,
+      port: hello.device.port,
+      pairedAt: Date.now()
+    };
+    this.addPeer(peer, keys.pairKey);
+    if (this.handlers.onPaired) {
+      this.handlers.onPaired(peer, keys.pairKey.toString('hex'));
+    }
+  }
+
+  // Joining side: connect to the host showing the code
+  async pair(address, code) {
+    if (!this.isRunning) {
+      throw new Error('LAN sharing is not running');
+    }
+    const { host, port } = parseAddress(address, this.port);
+    const socket = await connect(host, port);
+    socket.setTimeout(PAIRING_TIMEOUT, () => socket.destroy(new Error('Pairing timed out')));
+    const channel = createChannel(socket);
+
+    try {
+      const keyPair = createKeyPair();
+      channel.send({
+        type: 'pair-hello',
+        device: { ...this.device, port: this.port },
+        publicKey: keyPair.publicKey.toString('base64')
+      });
+
+      const challenge = await channel.receive();
+      if (challenge.type !== 'pair-challenge') {
+        throw new Error(challenge.error || 'Pairing was refused');
+      }
+      const hostPublicKey = Buffer.from(challenge.publicKey, 'base64');
+      const keys = derivePairingKeys(
+        computeSharedSecret(keyPair.privateKey, hostPublicKey),
+        code, hostPublicKey, keyPair.publicKey
+      );
+      channel.send({ type: 'pair-proof', proof: createProof(keys.joinProofKey, 'join') });
+
+      const proof = await channel.receive();
+      if (proof.type !== 'pair-proof') {
+        throw new Error(proof.error || 'Pairing was refused');
+      }
+      if (!proofMatches(keys.hostProofKey, 'host', proof.proof)) {
+        throw new Error('The other device could not prove it knows the pairing code');
+      }
+
+      const peer = { id: challenge.device.id, name: challenge.device.name, host, port, pairedAt: Date.now() };
+      this.addPeer(peer, keys.pairKey);
+      return { peer, key: keys.pairKey.toString('hex') };
+    } finally {
+      channel.close();
+    }
+  }
+
+  addPeer(peer, pairKey) {
+    this.peers = this.peers.filter(existing => existing.id !== peer.id).concat(peer);
+    this.keys[peer.id] = pairKey.toString('hex');
+  }
+
+  removePeer(peerId) {
+    this.peers = this.peers.filter(peer => peer.id !== peerId);
+    delete this.keys[peerId];
+  }
+
+  // Check and decrypt an incoming copy, returns the reply for the sender
+  receiveClip(message, remoteAddress) {
+    const peer = this.peers.find(p => p.id === message.from);
+    const key = peer && this.keys[peer.id];
+    if (!key) {
+      return { ok: false, error: 'Not paired' };
+    }
+
+    const json = decrypt(message.data, Buffer.from(key, 'hex'));
+    const payload = json ? JSON.parse(json) : null;
+    if (!payload || !payload.entry) {
+      return { ok: false, error: 'Unreadable message' };
+    }
+    const now = Date.now();
+    if (Math.abs(now - payload.sentAt) > MAX_MESSAGE_AGE || this.recentMessages.has(payload.id)) {
+      return { ok: false, error: 'Stale or repeated message' };
+    }
+    this.rememberMessage(payload.id, now);
+
+    // Follow the peer when its address changes (e.g. a new DHCP lease)
+    if (peer.host !== remoteAddress || peer.port !== payload.port) {
+      peer.host = remoteAddress;
+      peer.port = payload.port;
+      if (this.handlers.onPeerUpdated) {
+        this.handlers.onPeerUpdated({ ...peer });
+      }
+    }
+
+    if (this.handlers.onItem) {
+      this.handlers.onItem(payload.entry, { id: peer.id, name: peer.name });
+    }
+    return { ok: true };
+  }
+
+  rememberMessage(id, now) {
+    this.recentMessages.set(id, now);
+    this.recentMessages.forEach((time, messageId) => {
+      if (now - time > MAX_MESSAGE_AGE) {
+        this.recentMessages.delete(messageId);
+      }
+    });
+  }
+
+  // Send a copied entry to every paired device.
+  // Returns { sent, failed }, devices that are offline simply miss the copy.
+  async share(entry) {
+    if (!this.isRunning || this.peers.length === 0) {
+      return { sent: 0, failed: 0 };
+    }
+
+    const results = await Promise.all(this.peers.map(peer => this.sendClip(peer, entry)
+      .then(() => true)
+      .catch(error => {
+        console.warn(`Could not share clip with ${peer.name}:`, error.message);
+        return false;
+      })));
+    const sent = results.filter(Boolean).length;
+    return { sent, failed: results.length - sent };
+  }
+
+  async sendClip(peer, entry) {
+    const payload = {
+      id: crypto.randomBytes(12).toString('hex'),
+      sentAt: Date.now(),
+      port: this.port,
+      entry
+    };
+    const socket = await connect(peer.host, peer.port);
+    const channel = createChannel(socket);
+    try {
+      channel.send({
+        type: 'clip',
+        from: this.device.id,
+        data: encrypt(JSON.stringify(payload), Buffer.from(this.keys[peer.id], 'hex'))
+      });
+      const reply = await channel.receive();
+      if (!reply.ok) {
+        throw new Error(reply.error || 'Refused');
+      }
+    } finally {
+      channel.close();
+    }
+  }
+}
+
+module.exports = LanSync;
@@ -1,39 +1,156 @@
-const { app, BrowserWindow, clipboard, globalShortcut, Tray, Menu, nativeImage, shell, dialog } = require('electron');
+const { app, BrowserWindow, clipboard, globalShortcut, Tray, Menu, nativeImage, shell, dialog, safeStorage, powerMonitor } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const { getEncryptionKey, encrypt, decrypt } = require('./crypto-utils');
-const { getActiveApp } = require('./app-detector');
+const os = require('os');
+const crypto = require('crypto');
+const {
+  getKeyFile,
+  getEncryptionKey,
+  generateEncryptionKey,
+  saveEncryptionKey,
+  hasMasterPassword,
+  unlockEncryptionKey,
+  setMasterPassword,
+  removeMasterPassword
+} = require('./crypto-utils');
+const HistoryStore = require('./history-store');
+const { listBackups, createBackup, getBackup, restoreBackup, deleteBackups } = require('./history-backups');
+const { EXPORT_FORMATS, getExportableItems, exportItems, readExportedItems, isEncryptedArchive } = require('./history-export');
+const SnippetStore = require('./snippet-store');
+const SecretStore = require('./secret-store');
+const SyncEngine = require('./sync-engine');
+const LanSync = require('./lan-sync');
+const ClipboardWatcher = require('./clipboard-watcher');
+const {
+  createRotationBackup,
+  hasRotationBackup,
+  restoreRotationBackup,
+  discardRotationBackup
+} = require('./key-rotation');
+const { getTemplateFields, expandTemplate } = require('./snippet-templates');
+const { getActiveApp, getActiveWindowTitle } = require('./app-detector');
+const { readFilePaths, writeFilePaths, getFileMetadata } = require('./file-clipboard');
+const { writeFileAtomic } = require('./atomic-write');
+const { sanitizeEntry, sanitizeItem, isCategory } = require('./item-validation');
+const { detectSensitive, isSensitive, getSensitiveLabel } = require('./sensitive-detector');
+const {
+  normalizeTimeWindow,
+  isWithinTimeWindow,
+  getNextTimeWindowChange,
+  describeTimeWindow
+} = require('./time-window');
+const {
+  normalizeRule,
+  findMatchingRule,
+  redactText,
+  describeRule
+} = require('./capture-rules');
 const aiService = require('./ai-service');
-const { simulatePaste } = require('./key-simulator');
+const { simulatePaste, simulateCursorLeft } = require('./key-simulator');
 const chatAssistant = require('./chat-assistant');
 const logger = require('./logger');
 
+// A separate profile directory, e.g. to run a second instance against the same sync folder
+if (process.env.ECONOMOS_USER_DATA_DIR) {
+  app.setPath('userData', process.env.ECONOMOS_USER_DATA_DIR);
+}
+
 let mainWindow = null;
+let unlockWindow = null;
 let tray = null;
-let clipboardHistory = [];
 let isMonitoring = true;
-let isPrivateMode = false;
-let monitoringInterval = null;
+let isPrivateMode = false; // manual, timed or scheduled, see refreshPrivateMode()
+let privateModeState = null; // why capture is paused ({ reason, until, schedule })
+let privateModeTimer = null;
+let skippedScheduleUntil = 0; // leaving private mode during a schedule skips the rest of it
 let cleanupInterval = null;
+let backupInterval = null;
+let syncInterval = null;
+let lastSyncTime = null;
+let lastSyncError = null;
+let lastLanError = null;
+let lastBackupSignature = ''; // size and mtime of the log when it was last backed up
+let pasteQueue = []; // history item ids, pasted in order by QUEUE_SHORTCUT
+let isCollectMode = false;
+let encryptionKey = null; // data key, unwrapped at startup when a master password is set
 let settings = {
   encryptionEnabled: true,
   inMemoryOnly: false,
   excludedApps: [],
-  privateMode: false,
+  captureRules: [], // checked in order when a clip is captured, see capture-rules.js
+  privateMode: false, // turned on until turned off
+  privateModeUntil: null, // timed private mode ends at this time (ms)
+  privateShortcutMinutes: 15, // how long PRIVATE_SHORTCUT pauses capture
+  privateSchedules: [], // recurring pauses ({ id, enabled, name, days, start, end }), see time-window.js
   aiEnabled: false,
-  openaiApiKey: '',
-  groqApiKey: '',
   autoCategorize: false,
   chatAssistantEnabled: false,
   watchedApps: [],
   autoSendReplies: false,
-  retentionDays: 0 // 0 = forever, 3 = 3 days, 7 = 7 days
+  mergeSeparator: '\n',
+  syncEnabled: false,
+  syncFolder: '',
+  deviceName: '', // shown to paired devices, defaults to the host name
+  lanDeviceId: '', // how paired devices know this one, generated the first time LAN sharing starts
+  lanSharingEnabled: false,
+  lanSharingPort: 47653,
+  lanPeers: [], // paired devices ({ id, name, host, port, pairedAt }), keys are in the secret store
+  retentionDays: 0, // 0 = forever, 3 = 3 days, 7 = 7 days
+  maxHistoryItems: 10000,
+  maxStorageMB: 0, // 0 = no size limit
+  categoryRetention: {}, // category -> minutes to keep (0 = forever), overrides retentionDays
+  sensitiveDetection: true,
+  sensitiveLifetimeMinutes: 10, // 0 = keep detected secrets like any other item
+  secureClipboardSeconds: 30, // how long a secure paste stays on the clipboard
+  secureClipboardRestore: true, // put the previous clipboard back (false = just clear it)
+  primarySelectionCapture: false // Linux: also capture highlighted text (the PRIMARY selection)
 };
 
-const MAX_HISTORY = 100;
-const HISTORY_FILE = path.join(app.getPath('userData'), 'clipboard-history.json');
+const MAX_HISTORY_LIMIT = 100000;
+const QUEUE_SHORTCUT = 'CommandOrControl+Alt+V';
+const PRIVATE_SHORTCUT = 'CommandOrControl+Alt+P';
+const PRIVATE_MODE_DURATIONS = [5, 15, 60]; // minutes offered in the tray menu
+const PRIMARY_SELECTION_SETTLE_TIME = 1000; // a selection is captured once it stops changing
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const THUMBNAIL_WIDTH = 96;
+const HISTORY_BACKUP_COUNT = 5;
+const HISTORY_BACKUP_INTERVAL = 6 * 60 * MINUTE;
+const SYNC_INTERVAL = 10 * 1000;
+const HISTORY_LOG_FILE = path.join(app.getPath('userData'), 'clipboard-history.log');
 const SETTINGS_FILE = path.join(app.getPath('userData'), 'settings.json');
+const SNIPPETS_FILE = path.join(app.getPath('userData'), 'snippets.json');
+const SECRETS_FILE = path.join(app.getPath('userData'), 'secrets.json');
+// Settings that are kept in the secret store instead of settings.json
+const SECRET_SETTINGS = ['openaiApiKey', 'groqApiKey'];
+// Whole-file history used before the append-only log, migrated on first load
+const HISTORY_FILE = path.join(app.getPath('userData'), 'clipboard-history.json');
 const ENCRYPTED_HISTORY_FILE = path.join(app.getPath('userData'), 'clipboard-history.encrypted');
+// Rotating snapshots of the history log
+const HISTORY_BACKUP_DIR = path.join(app.getPath('userData'), 'history-backups');
+// Old key and data are kept here while the encryption key is rotated
+const KEY_ROTATION_BACKUP_DIR = path.join(app.getPath('userData'), 'key-rotation-backup');
+// This device's sync id and read offsets in the sync folder
+const SYNC_STATE_FILE = path.join(app.getPath('userData'), 'sync-state.json');
+
+const historyStore = new HistoryStore(HISTORY_LOG_FILE);
+const snippetStore = new SnippetStore(SNIPPETS_FILE);
+const secretStore = new SecretStore(SECRETS_FILE);
+const syncEngine = new SyncEngine(SYNC_STATE_FILE);
+const lanSync = new LanSync();
+const clipboardWatcher = new ClipboardWatcher({
+  clipboard,
+  readFilePaths,
+  getIdleTime: () => powerMonitor.getSystemIdleTime(),
+  onChange: (content) => captureClipboardContent(content)
+});
+const primarySelectionWatcher = new ClipboardWatcher({
+  clipboard,
+  type: 'selection',
+  settleTime: PRIMARY_SELECTION_SETTLE_TIME,
+  getIdleTime: () => powerMonitor.getSystemIdleTime(),
+  onChange: (content) => addToHistory({ type: 'text', text: content.text }, { selection: 'primary' })
+});
 
 // Load settings
 function loadSettings() {
@@ -41,7 +158,6 @@ function loadSettings() {
     if (fs.existsSync(SETTINGS_FILE)) {
       const data = fs.readFileSync(SETTINGS_FILE, 'utf8');
       settings = { ...settings, ...JSON.parse(data) };
-      isPrivateMode = settings.privateMode || false;
     }
   } catch (error) {
     logger.error('Error loading settings', error);
@@ -51,115 +167,508 @@ function loadSettings() {
 // Save settings
 function saveSettings() {
   try {
-    settings.privateMode = isPrivateMode;
-    fs.writeFileSync(SETTINGS_FILE, JSON.stringify(settings, null, 2));
+    writeFileAtomic(SETTINGS_FILE, JSON.stringify(settings, null, 2));
     logger.debug('Settings saved');
   } catch (error) {
     logger.error('Error saving settings', error);
   }
 }
 
-// Load history from file
+// The data key; with a master password it is only available after unlocking
+function getDataKey() {
+  if (!encryptionKey) {
+    encryptionKey = getEncryptionKey(app.getPath('userData'));
+  }
+  return encryptionKey;
+}
+
+// Apply the current storage settings to the history and snippet stores
+function configureHistoryStore() {
+  const key = getDataKey();
+  historyStore.configure({
+    key,
+    encrypt: settings.encryptionEnabled,
+    persist: !settings.inMemoryOnly
+  });
+  // Snippets are curated by hand, so they stay on disk even in in-memory mode
+  snippetStore.configure({ key, encrypt: settings.encryptionEnabled });
+  secretStore.configure({ safeStorage, key });
+}
+
+// Load API keys, moving any still stored in settings.json into the secret store
+function loadSecrets() {
+  try {
+    secretStore.load();
+  } catch (error) {
+    logger.error('Error loading secrets', error);
+    const backupFile = `${SECRETS_FILE}.corrupt-${Date.now()}`;
+    if (fs.existsSync(SECRETS_FILE)) {
+      fs.renameSync(SECRETS_FILE, backupFile);
+    }
+    reportUnreadableData(
+      'Your saved API keys could not be read',
+      `The secrets file may be corrupted or have been tampered with. It was moved to ${backupFile}. Please enter your API keys again in Settings.`
+    );
+  }
+  
+  const legacyNames = SECRET_SETTINGS.filter(name => settings[name] !== undefined);
+  if (legacyNames.length === 0) return;
+  
+  const legacySecrets = {};
+  legacyNames.forEach(name => {
+    if (settings[name]) {
+      legacySecrets[name] = settings[name];
+    }
+    delete settings[name];
+  });
+  try {
+    secretStore.set(legacySecrets);
+    saveSettings();
+    logger.info('Moved API keys from settings.json to secure storage', {
+      keys: Object.keys(legacySecrets),
+      safeStorage: !secretStore.usesHistoryKey
+    });
+  } catch (error) {
+    logger.error('Error moving API keys to secure storage', error);
+  }
+}
+
+// Settings as the window sees them: only whether each API key is set, never the key itself
+function getRendererSettings() {
+  return {
+    ...settings,
+    hasOpenaiKey: secretStore.has('openaiApiKey'),
+    hasGroqKey: secretStore.has('groqApiKey'),
+    captureRules: (settings.captureRules || []).map(rule => ({ ...rule, summary: describeRule(rule) })),
+    privateSchedules: (settings.privateSchedules || []).map(schedule => ({
+      ...schedule,
+      summary: describeTimeWindow(schedule)
+    }))
+  };
+}
+
+// Generate a new data key and re-encrypt everything with it.
+// Files encrypted with the old key are backed up first and restored if anything fails
+// (or on the next start, if the app stops halfway).
+async function rotateEncryptionKey(password) {
+  const userDataPath = app.getPath('userData');
+  const newKey = generateEncryptionKey();
+  
+  // With a master password, the new key is wrapped with the same password
+  if (hasMasterPassword(userDataPath)) {
+    const currentKey = await unlockEncryptionKey(userDataPath, password || '');
+    if (!currentKey || !currentKey.equals(getDataKey())) {
+      throw new Error('Current password is incorrect');
+    }
+  }
+  
+  // settings.json holds nothing encrypted, so only these files are rewritten
+  createRotationBackup(KEY_ROTATION_BACKUP_DIR, [getKeyFile(userDataPath), HISTORY_LOG_FILE, SNIPPETS_FILE, SECRETS_FILE]);
+  try {
+    reencryptHistoryLog(newKey);
+    snippetStore.configure({ key: newKey, encrypt: settings.encryptionEnabled });
+    snippetStore.write();
+    if (secretStore.usesHistoryKey) {
+      secretStore.configure({ safeStorage, key: newKey });
+      secretStore.write();
+    }
+    
+    // The key file is replaced last
+    if (hasMasterPassword(userDataPath)) {
+      await setMasterPassword(userDataPath, newKey, password);
+    } else {
+      saveEncryptionKey(userDataPath, newKey);
+    }
+  } catch (error) {
+    logger.error('Key rotation failed, restoring backup', error);
+    restoreRotationBackup(KEY_ROTATION_BACKUP_DIR);
+    await loadHistory();
+    loadSnippets();
+    loadSecrets();
+    notifyHistoryUpdated();
+    throw error;
+  }
+  
+  encryptionKey = newKey;
+  discardRotationBackup(KEY_ROTATION_BACKUP_DIR);
+  // Older backups can only be read with the old key, start over with a fresh one
+  deleteBackups(HISTORY_BACKUP_DIR);
+  lastBackupSignature = '';
+  backupHistory();
+  logger.info('Encryption key rotated', { items: historyStore.count, snippets: snippetStore.snippets.length });
+}
+
+function reencryptHistoryLog(newKey) {
+  const oldKey = getDataKey();
+  historyStore.configure({ key: newKey, encrypt: settings.encryptionEnabled, persist: !settings.inMemoryOnly });
+  if (!settings.inMemoryOnly) {
+    historyStore.compact();
+    return;
+  }
+  
+  // In-memory mode doesn't touch the log left on disk, but it still has to move to the new key
+  rewriteDiskHistoryLog(
+    { key: oldKey, encrypt: settings.encryptionEnabled },
+    { key: newKey, encrypt: settings.encryptionEnabled }
+  );
+}
+
+// Rewrite the log left on disk while in-memory mode keeps the history store empty
+function rewriteDiskHistoryLog(readOptions, writeOptions) {
+  if (!fs.existsSync(HISTORY_LOG_FILE)) return;
+  const diskStore = new HistoryStore(HISTORY_LOG_FILE);
+  diskStore.configure(readOptions);
+  diskStore.load();
+  diskStore.configure(writeOptions);
+  diskStore.compact();
+}
+
+// Undo a key rotation that was cut off (crash, power loss...) before it finished
+function recoverInterruptedKeyRotation() {
+  if (!hasRotationBackup(KEY_ROTATION_BACKUP_DIR)) return;
+  try {
+    const restored = restoreRotationBackup(KEY_ROTATION_BACKUP_DIR);
+    logger.warn('Restored data from an interrupted key rotation', { files: restored.length });
+  } catch (error) {
+    logger.error('Could not restore interrupted key rotation backup', error);
+    reportUnreadableData(
+      'An interrupted encryption key rotation could not be undone',
+      `Your previous key and data are still in ${KEY_ROTATION_BACKUP_DIR}. Check logs for details.`
+    );
+  }
+}
+
+// Tell the user that stored data could not be read, instead of silently starting empty
+function reportUnreadableData(message, detail) {
+  logger.error(message, { detail });
+  dialog.showMessageBox({ type: 'warning', title: 'Economos', message, detail }).catch(() => {});
+}
+
+// Load the snippet library
+function loadSnippets() {
+  try {
+    snippetStore.load();
+    if (snippetStore.needsRewrite) {
+      snippetStore.write();
+      logger.info('Migrated snippets to authenticated encryption');
+    }
+    logger.debug('Snippets loaded', { count: snippetStore.snippets.length });
+  } catch (error) {
+    logger.error('Error loading snippets', error);
+    const backupFile = snippetStore.setAside(`corrupt-${Date.now()}`);
+    reportUnreadableData(
+      'Your snippet library could not be read',
+      `It may be corrupted or have been tampered with. The file was moved to ${backupFile} and a new library was started.`
+    );
+  }
+}
+
+function notifySnippetsUpdated() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('snippets-updated', snippetStore.all());
+  }
+}
+
+// Load history from the log
 async function loadHistory() {
   try {
+    configureHistoryStore();
+    
     if (settings.inMemoryOnly) {
-      clipboardHistory = [];
+      historyStore.reset();
       return;
     }
 
-    let data = null;
-    
-    if (settings.encryptionEnabled && fs.existsSync(ENCRYPTED_HISTORY_FILE)) {
-      // Load encrypted history
-      const encryptedData = fs.readFileSync(ENCRYPTED_HISTORY_FILE, 'utf8');
-      const key = getEncryptionKey(app.getPath('userData'));
-      const decrypted = decrypt(encryptedData, key);
-      if (decrypted) {
-        data = decrypted;
-      }
-    } else if (fs.existsSync(HISTORY_FILE)) {
-      // Load plain text history (for migration)
-      data = fs.readFileSync(HISTORY_FILE, 'utf8');
+    // One-time migration from the old whole-file history
+    const migrated = historyStore.migrateLegacyFiles(
+      HISTORY_FILE,
+      ENCRYPTED_HISTORY_FILE,
+      getDataKey()
+    );
+    if (migrated && migrated.failed) {
+      offerBackupRestore(
+        'Your previous clipboard history could not be decrypted',
+        `It may be corrupted, have been tampered with or be encrypted with another key. ${migrated.source} was left untouched and a new history was started.`
+      );
+    } else if (migrated) {
+      logger.info('Migrated history to append-only log', migrated);
     }
 
-    if (data) {
-      clipboardHistory = JSON.parse(data);
-      logger.debug('History loaded', { count: clipboardHistory.length });
-      // Clean up old items on load
-      cleanupOldItems();
+    const stats = historyStore.load();
+    if (stats.torn > 0) {
+      logger.warn('Dropped a history record that was cut off while being written');
+    }
+    const unreadable = stats.skipped + stats.unencrypted;
+    if (unreadable > 0) {
+      logger.warn('Skipped unreadable history records', stats);
+      const backupFile = historyStore.backup(`corrupt-${Date.now()}`);
+      const reason = stats.skipped > 0
+        ? 'could not be decrypted'
+        : `${unreadable === 1 ? 'was' : 'were'} not encrypted although encryption is on`;
+      offerBackupRestore(
+        `${unreadable} history item${unreadable === 1 ? '' : 's'} ${reason}`,
+        `They may be corrupted or have been tampered with, and were left out. The rest of your history was loaded, and the original log was saved to ${backupFile}.`
+      );
+    }
+    if (stats.legacy > 0 || unreadable > 0) {
+      // Rewrite old CBC records with authenticated encryption (and drop unreadable ones)
+      historyStore.compact();
+      logger.info('Rewrote history log in the current format', stats);
+    }
+    if (unreadable === 0) {
+      // Only logs that loaded cleanly are kept as backups
+      backupHistory();
     }
+    logger.debug('History loaded', { count: historyStore.count });
+    // Clean up old items on load
+    cleanupOldItems();
   } catch (error) {
     logger.error('Error loading history', error);
-    clipboardHistory = [];
+    historyStore.reset();
+    offerBackupRestore(
+      'Your clipboard history could not be loaded',
+      `${error.message}\n\nThe history files were left untouched. Check logs for details.`
+    );
+  }
+}
+
+// Snapshot the history log into the rotating backups (skipped if nothing changed)
+function backupHistory() {
+  if (settings.inMemoryOnly || !fs.existsSync(HISTORY_LOG_FILE)) return;
+  try {
+    const stats = fs.statSync(HISTORY_LOG_FILE);
+    const signature = `${stats.size}-${stats.mtimeMs}`;
+    if (signature === lastBackupSignature) return;
+    
+    const backupFile = createBackup(HISTORY_LOG_FILE, HISTORY_BACKUP_DIR, HISTORY_BACKUP_COUNT);
+    lastBackupSignature = signature;
+    logger.debug('History backed up', { backupFile });
+  } catch (error) {
+    logger.error('Error backing up history', error);
+  }
+}
+
+function startBackupService() {
+  if (backupInterval) {
+    clearInterval(backupInterval);
   }
+  backupInterval = setInterval(backupHistory, HISTORY_BACKUP_INTERVAL);
+}
+
+// Backups with their item count, for the restore picker
+function getHistoryBackups() {
+  return listBackups(HISTORY_BACKUP_DIR).map(backup => {
+    const store = new HistoryStore(backup.file);
+    store.configure({ key: getDataKey(), encrypt: settings.encryptionEnabled });
+    let stats = { skipped: 1 };
+    try {
+      stats = store.load();
+    } catch (error) {
+      logger.warn('Could not read history backup', { name: backup.name, error: error.message });
+    }
+    return {
+      name: backup.name,
+      createdAt: backup.createdAt,
+      size: backup.size,
+      count: store.count,
+      readable: stats.skipped === 0 && stats.unencrypted === 0
+    };
+  });
 }
 
-// Save history to file
-async function saveHistory() {
+// Replace the history with a backup. The current log is kept next to it first.
+async function restoreHistoryBackup(name) {
   if (settings.inMemoryOnly) {
-    return; // Don't save to disk
+    throw new Error('Turn off In-Memory Only to restore a backup');
   }
+  const backup = getBackup(HISTORY_BACKUP_DIR, name);
+  if (!backup) {
+    throw new Error('Backup not found');
+  }
+  
+  const previousFile = historyStore.backup(`before-restore-${Date.now()}`);
+  restoreBackup(backup, HISTORY_LOG_FILE);
+  await loadHistory();
+  removeFromPasteQueue(pasteQueue.filter(id => !historyStore.has(id)));
+  notifyHistoryUpdated();
+  logger.info('Restored history from backup', { name, count: historyStore.count, previousFile });
+  return historyStore.count;
+}
 
-  try {
-    const data = JSON.stringify(clipboardHistory, null, 2);
-    
-    if (settings.encryptionEnabled) {
-      // Save encrypted
-      const key = getEncryptionKey(app.getPath('userData'));
-      const encrypted = encrypt(data, key);
-      fs.writeFileSync(ENCRYPTED_HISTORY_FILE, encrypted);
-      // Remove plain text file if it exists
-      if (fs.existsSync(HISTORY_FILE)) {
-        fs.unlinkSync(HISTORY_FILE);
-      }
-    } else {
-      // Save plain text
-      fs.writeFileSync(HISTORY_FILE, data);
-      // Remove encrypted file if it exists
-      if (fs.existsSync(ENCRYPTED_HISTORY_FILE)) {
-        fs.unlinkSync(ENCRYPTED_HISTORY_FILE);
-      }
+// Show the window and send it a message, waiting for it to load if it was just created
+function showInWindow(channel, ...args) {
+  showWindow();
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  const send = () => mainWindow.webContents.send(channel, ...args);
+  if (mainWindow.webContents.isLoading()) {
+    mainWindow.webContents.once('did-finish-load', send);
+  } else {
+    send();
+  }
+}
+
+// Open the restore picker in the history window
+function showBackupPicker() {
+  showInWindow('show-backup-picker');
+}
+
+// Report unreadable history and offer to restore one of the backups
+function offerBackupRestore(message, detail) {
+  const backups = listBackups(HISTORY_BACKUP_DIR);
+  if (backups.length === 0) {
+    reportUnreadableData(message, detail);
+    return;
+  }
+  
+  logger.error(message, { detail, backups: backups.length });
+  const latest = new Date(backups[0].createdAt).toLocaleString();
+  dialog.showMessageBox({
+    type: 'warning',
+    title: 'Economos',
+    message,
+    detail: `${detail}\n\nThe latest good backup is from ${latest}.`,
+    buttons: ['Restore Latest Backup', 'Choose Backup…', 'Keep Current History'],
+    defaultId: 0,
+    cancelId: 2
+  }).then(({ response }) => {
+    if (response === 0) {
+      return restoreHistoryBackup(backups[0].name);
     }
-    logger.debug('History saved', { count: clipboardHistory.length });
-  } catch (error) {
-    logger.error('Error saving history', error);
+    if (response === 1) {
+      showBackupPicker();
+    }
+  }).catch(error => {
+    logger.error('Error restoring history backup', error);
+    dialog.showErrorBox('Restore Failed', `The backup could not be restored:\n\n${error.message}`);
+  });
+}
+
+// Send the full history to the window (after a reload or clear)
+function notifyHistoryUpdated() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('history-updated', historyStore.all());
   }
 }
 
-// Clean up old clipboard items based on retention settings
-async function cleanupOldItems() {
+// Send only what changed: items added or updated, and ids removed
+function notifyHistoryChanged({ upserted = [], removed = [] }) {
+  if (upserted.length === 0 && removed.length === 0) return;
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('history-changed', { upserted, removed });
+  }
+}
+
+// All history mutations go through these helpers so the store, the paste
+// queue and the window stay in sync (and other devices, when folder sync is on)
+function putHistoryItems(items) {
+  historyStore.putMany(items);
+  recordSyncChanges({ upserted: items });
+  notifyHistoryChanged({ upserted: items });
+}
+
+// propagate: false keeps the removal on this device only (e.g. retention cleanup,
+// so a short retention on one machine doesn't delete items everywhere)
+function removeHistoryItems(itemIds, { propagate = true } = {}) {
+  const removed = historyStore.remove(itemIds);
+  removeFromPasteQueue(removed);
+  if (propagate) {
+    recordSyncChanges({ removed });
+  }
+  notifyHistoryChanged({ removed });
+  return removed;
+}
+
+// Ids of items past their retention period (pinned items never expire).
+// Categories with an entry in categoryRetention use it instead of retentionDays.
+function getExpiredItemIds(now) {
+  const expiredIds = [];
+  const overrides = settings.categoryRetention || {};
   const retentionDays = settings.retentionDays || 0;
   
-  // If retention is 0 (forever), don't clean up
-  if (retentionDays === 0) {
-    return;
+  if (retentionDays > 0) {
+    // The store keeps items sorted by time, so this only touches the expired ones
+    historyStore.olderThan(now - retentionDays * DAY).forEach(item => {
+      if (!item.pinned && !(item.category in overrides)) {
+        expiredIds.push(item.id);
+      }
+    });
   }
   
-  const cutoffTime = Date.now() - (retentionDays * 24 * 60 * 60 * 1000);
-  const initialCount = clipboardHistory.length;
+  // Items with their own lifetime (detected secrets)
+  historyStore.expiredAt(now).forEach(item => {
+    if (!item.pinned) {
+      expiredIds.push(item.id);
+    }
+  });
+  
+  Object.entries(overrides).forEach(([category, minutes]) => {
+    if (!minutes) return; // 0 = keep this category forever
+    const cutoffTime = now - minutes * MINUTE;
+    historyStore.byCategory(category).forEach(item => {
+      if (!item.pinned && item.timestamp < cutoffTime) {
+        expiredIds.push(item.id);
+      }
+    });
+  });
   
-  clipboardHistory = clipboardHistory.filter(item => {
-    // Keep items that are newer than cutoff time
-    return item.timestamp >= cutoffTime;
+  return expiredIds;
+}
+
+function getMaxHistoryItems() {
+  const maxItems = parseInt(settings.maxHistoryItems) || MAX_HISTORY_LIMIT;
+  return Math.min(Math.max(maxItems, 1), MAX_HISTORY_LIMIT);
+}
+
+function withoutPinned(ids) {
+  return ids.filter(id => {
+    const item = historyStore.get(id);
+    return item && !item.pinned;
   });
+}
+
+// Clean up clipboard items based on retention, item count and storage size settings
+async function cleanupOldItems() {
+  const local = { propagate: false };
+  const expiredCount = removeHistoryItems(getExpiredItemIds(Date.now()), local).length;
+  
+  // Trim the oldest items beyond the configured count (pinned items are kept)
+  const overLimitIds = withoutPinned(historyStore.idsBeyond(getMaxHistoryItems()));
+  const trimmedCount = removeHistoryItems(overLimitIds, local).length;
   
-  const removedCount = initialCount - clipboardHistory.length;
+  // ...and beyond the configured storage size
+  let oversizeCount = 0;
+  if (settings.maxStorageMB > 0) {
+    const maxBytes = settings.maxStorageMB * 1024 * 1024;
+    oversizeCount = removeHistoryItems(withoutPinned(historyStore.idsBeyondSize(maxBytes)), local).length;
+  }
   
+  const removedCount = expiredCount + trimmedCount + oversizeCount;
   if (removedCount > 0) {
-    logger.info(`Cleaned up ${removedCount} old clipboard items`, { 
-      retentionDays, 
-      remaining: clipboardHistory.length 
+    logger.info(`Cleaned up ${removedCount} clipboard items`, { 
+      expired: expiredCount,
+      overLimit: trimmedCount,
+      overSize: oversizeCount,
+      remaining: historyStore.count 
     });
-    await saveHistory();
-    
-    // Update window if it exists
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('history-updated', clipboardHistory);
-    }
   }
 }
 
-// Start periodic cleanup (runs every hour)
+// Short per-category retention (e.g. passwords kept for 5 minutes) needs a
+// cleanup every minute, otherwise hourly is enough
+function getCleanupIntervalMs() {
+  const overrides = Object.values(settings.categoryRetention || {}).filter(minutes => minutes > 0);
+  const hasTtlRule = (settings.captureRules || []).some(rule => rule.enabled && rule.action === 'ttl');
+  if (overrides.some(minutes => minutes < 24 * 60) || hasTtlRule ||
+      (settings.sensitiveDetection && settings.sensitiveLifetimeMinutes > 0)) {
+    return MINUTE;
+  }
+  if (overrides.length > 0 || settings.retentionDays > 0) {
+    return 60 * MINUTE;
+  }
+  return 0;
+}
+
+// Start periodic cleanup
 function startCleanupService() {
   // Clear existing interval if any
   if (cleanupInterval) {
@@ -172,16 +681,20 @@ function startCleanupService() {
     logger.error('Error in initial cleanup', err);
   });
   
-  // Only start interval if retention is enabled (not forever)
-  if (settings.retentionDays && settings.retentionDays > 0) {
-    // Then run cleanup every hour (3600000 ms)
+  // Only start interval if some retention is enabled (not forever)
+  const intervalMs = getCleanupIntervalMs();
+  if (intervalMs > 0) {
     cleanupInterval = setInterval(() => {
       cleanupOldItems().catch(err => {
         logger.error('Error in periodic cleanup', err);
       });
-    }, 3600000); // 1 hour
+    }, intervalMs);
     
-    logger.debug('Cleanup service started', { retentionDays: settings.retentionDays });
+    logger.debug('Cleanup service started', {
+      retentionDays: settings.retentionDays,
+      categoryRetention: settings.categoryRetention,
+      intervalMs
+    });
   } else {
     logger.debug('Cleanup service disabled (keep forever)', { retentionDays: settings.retentionDays });
   }
@@ -196,96 +709,324 @@ function stopCleanupService() {
   }
 }
 
+// The app and window a clip was copied from (null when they can't be read)
+async function getCaptureOrigin() {
+  const [app, windowTitle] = await Promise.all([getActiveApp(), getActiveWindowTitle()]);
+  return {
+    app: app && app !== 'unknown' ? app : null,
+    windowTitle: windowTitle || null
+  };
+}
+
 // Check if app is excluded
-async function isAppExcluded() {
-  if (settings.excludedApps.length === 0) return false;
-  
-  try {
-    const activeApp = await getActiveApp();
-    return settings.excludedApps.some(app => 
-      activeApp.toLowerCase().includes(app.toLowerCase())
-    );
-  } catch (error) {
+function isAppExcluded(activeApp) {
+  if (!activeApp || settings.excludedApps.length === 0) return false;
+  return settings.excludedApps.some(app =>
+    activeApp.toLowerCase().includes(app.toLowerCase())
+  );
+}
+
+// Apply a matching capture rule to a new item, returns false if it must not be stored
+function applyCaptureRule(rule, item) {
+  logger.debug('Capture rule matched', { rule: rule.id, action: rule.action, type: item.type });
+  if (rule.action === 'skip') {
     return false;
   }
+  if (rule.action === 'redact') {
+    // Images and file lists can't be partly kept
+    if (item.type !== 'text') return false;
+    item.text = redactText(item.text, rule);
+    item.redacted = true;
+    delete item.formats; // the HTML/RTF would still hold the original
+    // Detect secrets again on what is left
+    delete item.sensitive;
+    delete item.expiresAt;
+    if (!flagSensitiveItem(item)) {
+      item.category = aiService.fallbackCategorize(item.text);
+    }
+  } else if (rule.action === 'ttl') {
+    const expiresAt = item.timestamp + rule.ttlMinutes * MINUTE;
+    item.expiresAt = item.expiresAt ? Math.min(item.expiresAt, expiresAt) : expiresAt;
+  }
+  return true;
+}
+
+// Items saved before image support have no type and are plain text
+function getItemType(item) {
+  return item.type || 'text';
+}
+
+// Check if a captured entry is the same as the most recent history item
+function isDuplicateOfLatest(entry) {
+  const latest = historyStore.latest();
+  if (!latest) return false;
+  if (getItemType(latest) !== entry.type) return false;
+  if (entry.type === 'image') {
+    return latest.hash === entry.hash;
+  }
+  return latest.text === entry.text;
+}
+
+// Build an image history entry with a small thumbnail for the history list
+function createImageEntry(image, hash) {
+  const { width, height } = image.getSize();
+  const thumbnail = width > THUMBNAIL_WIDTH
+    ? image.resize({ width: THUMBNAIL_WIDTH, quality: 'good' })
+    : image;
+  
+  return {
+    type: 'image',
+    text: '',
+    image: image.toDataURL(),
+    thumbnail: thumbnail.toDataURL(),
+    width,
+    height,
+    hash
+  };
+}
+
+// Build a file-reference history entry; the text holds one path per line
+function createFileEntry(paths) {
+  return {
+    type: 'file',
+    text: paths.join('\n'),
+    files: getFileMetadata(paths)
+  };
+}
+
+// Timestamp-based ids, with a random suffix so items captured in the same millisecond don't collide
+function createItemId() {
+  return `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Flag a text item that contains a secret (key, token, card number, password):
+// it is masked in the window, never sent to AI and deleted after
+// sensitiveLifetimeMinutes unless pinned. Returns whether the item was flagged.
+function flagSensitiveItem(item) {
+  if (!settings.sensitiveDetection || getItemType(item) !== 'text') return false;
+  const kinds = detectSensitive(item.text);
+  if (kinds.length === 0) return false;
+  
+  item.sensitive = kinds;
+  item.category = 'password';
+  if (settings.sensitiveLifetimeMinutes > 0 && !item.expiresAt) {
+    item.expiresAt = Date.now() + settings.sensitiveLifetimeMinutes * MINUTE;
+  }
+  return true;
+}
+
+// Text that looks like a secret is never sent to the AI providers
+function assertNotSensitive(text) {
+  if (settings.sensitiveDetection && isSensitive(text)) {
+    throw new Error('This text looks like a secret (key, token, card number or password) and is not sent to AI');
+  }
 }
 
 // Add clipboard item to history
-async function addToHistory(text) {
-  if (!text || text.trim() === '') return;
+// Accepts plain text or an entry object ({ type: 'image' | 'file', ... })
+// options.source: the paired LAN device the entry came from (local copies are shared with them)
+// options.selection: 'primary' for highlighted text on Linux (items without it come from the clipboard)
+async function addToHistory(content, options = {}) {
+  const entry = typeof content === 'string' ? { type: 'text', text: content } : content;
+  if (!entry) return;
+  if (entry.type === 'text' && (!entry.text || entry.text.trim() === '')) return;
   if (isPrivateMode) return; // Don't log in private mode
-  if (await isAppExcluded()) return; // Don't log if app is excluded
   
   // Avoid duplicates (don't add if same as last item)
-  if (clipboardHistory.length > 0 && clipboardHistory[0].text === text) {
+  if (isDuplicateOfLatest(entry)) {
     return;
   }
   
   // Create new history item
+  // (timestamp moves when the item is used again, capturedAt stays)
+  const now = Date.now();
   const newItem = {
-    text: text,
-    timestamp: Date.now(),
-    id: Date.now().toString(),
+    ...entry,
+    timestamp: now,
+    capturedAt: now,
+    id: createItemId(),
     category: 'other'
   };
+  if (options.source) {
+    newItem.sourceDevice = { id: options.source.id, name: options.source.name };
+  }
+  if (options.selection) {
+    newItem.selection = options.selection;
+  }
+  
+  // Images and files are never sent to AI, they get their own category.
+  // Text gets a local category first so capture rules can use it before anything is sent to AI.
+  if (newItem.type === 'image' || newItem.type === 'file') {
+    newItem.category = newItem.type;
+  } else if (flagSensitiveItem(newItem)) {
+    logger.info('Sensitive content detected, item will be masked', {
+      kinds: newItem.sensitive,
+      expiresAt: newItem.expiresAt || null
+    });
+  } else {
+    newItem.category = aiService.fallbackCategorize(newItem.text);
+  }
   
-  // Auto-categorize if enabled and AI is configured
-  // Skip AI categorization for very large texts (use fallback)
-  if (settings.autoCategorize && settings.aiEnabled && (settings.openaiApiKey || settings.groqApiKey)) {
+  // Excluded apps only apply to local copies, the sending device checks its own
+  const origin = options.source ? {} : await getCaptureOrigin();
+  const rule = findMatchingRule(settings.captureRules || [], { ...newItem, ...origin });
+  if (isAppExcluded(origin.app) && !(rule && rule.action === 'keep')) return;
+  if (rule && !applyCaptureRule(rule, newItem)) return;
+  if (origin.app) newItem.sourceApp = origin.app;
+  if (origin.windowTitle) newItem.sourceWindowTitle = origin.windowTitle;
+  
+  const canUseAI = newItem.type === 'text' && !newItem.sensitive && !newItem.redacted;
+  if (canUseAI && settings.autoCategorize && settings.aiEnabled && (secretStore.get('openaiApiKey') || secretStore.get('groqApiKey'))) {
     try {
-      if (settings.openaiApiKey) {
-        aiService.setOpenAIKey(settings.openaiApiKey);
+      if (secretStore.get('openaiApiKey')) {
+        aiService.setOpenAIKey(secretStore.get('openaiApiKey'));
       }
-      if (settings.groqApiKey) {
-        aiService.setGroqKey(settings.groqApiKey);
+      if (secretStore.get('groqApiKey')) {
+        aiService.setGroqKey(secretStore.get('groqApiKey'));
       }
       // categorizeText will handle size limits and use fallback if needed
-      newItem.category = await aiService.categorizeText(text);
+      newItem.category = await aiService.categorizeText(newItem.text);
     } catch (error) {
+      // Keep the fallback category
       logger.warn('Error categorizing text, using fallback', error.message);
-      // Use fallback categorization (no AI needed)
-      newItem.category = aiService.fallbackCategorize(text);
     }
-  } else {
-    // Basic fallback categorization (no AI needed)
-    newItem.category = aiService.fallbackCategorize(text);
   }
   
-  // Add to beginning of array
-  clipboardHistory.unshift(newItem);
+  // Append to the history log
+  putHistoryItems([newItem]);
+  if (!options.source) {
+    shareEntry(newItem);
+  }
   
-  // Clean up old items before checking size limit
+  // Enforce retention and size limits
   await cleanupOldItems();
-  
-  // Limit history size (after cleanup)
-  if (clipboardHistory.length > MAX_HISTORY) {
-    clipboardHistory = clipboardHistory.slice(0, MAX_HISTORY);
+}
+
+// New clipboard contents reported by the watcher (see clipboard-watcher.js)
+async function captureClipboardContent(content) {
+  if (content.type === 'file') {
+    await addToHistory(createFileEntry(content.paths));
+  } else if (content.type === 'image') {
+    await addToHistory(createImageEntry(content.image, content.hash));
+  } else {
+    await addToHistory({ type: 'text', text: content.text, formats: readRichFormats() });
+  }
+}
+
+// Read the formatted versions of the copied text (browsers and word processors
+// put HTML and/or RTF next to the plain text)
+function readRichFormats() {
+  const formats = {};
+  const html = clipboard.readHTML();
+  const rtf = clipboard.readRTF();
+  if (html && html.trim() !== '') formats.html = html;
+  if (rtf && rtf.trim() !== '') formats.rtf = rtf;
+  return Object.keys(formats).length > 0 ? formats : undefined;
+}
+
+// Put a history item back on the system clipboard
+// options.plainText drops the stored HTML/RTF (or file references) and writes only the text
+async function writeItemToClipboard(item, options = {}) {
+  const type = getItemType(item);
+  if (type === 'image') {
+    clipboard.writeImage(nativeImage.createFromDataURL(item.image));
+    // Remember what we wrote so the monitor doesn't capture it again
+    clipboardWatcher.remember({ type: 'image', hash: item.hash });
+    return;
   }
   
-  await saveHistory();
+  if (type === 'file' && !options.plainText) {
+    const paths = item.files.map(file => file.path);
+    await writeFilePaths(clipboard, paths);
+    clipboardWatcher.remember({ type: 'file', paths });
+    return;
+  }
   
-  // Update window if it exists
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('history-updated', clipboardHistory);
+  if (item.formats && !options.plainText) {
+    const data = { text: item.text };
+    if (item.formats.html) data.html = item.formats.html;
+    if (item.formats.rtf) data.rtf = item.formats.rtf;
+    clipboard.write(data);
+  } else {
+    clipboard.writeText(item.text);
+  }
+  clipboardWatcher.remember({ type: 'text', text: item.text });
+}
+
+// Secure paste: sensitive items (or any text pasted with options.secure) are taken off
+// the clipboard again after secureClipboardSeconds, putting back what was there before
+let pendingClipboardRestore = null; // { text, snapshot, timer }
+
+function isSecurePaste(item, options = {}) {
+  return getItemType(item) === 'text' && (!!options.secure || !!item.sensitive);
+}
+
+// The clipboard contents as a history-like entry, so writeItemToClipboard can put it back
+async function captureClipboardSnapshot() {
+  const content = await clipboardWatcher.read();
+  if (!content) return null;
+  if (content.type === 'file') return createFileEntry(content.paths);
+  if (content.type === 'image') return createImageEntry(content.image, content.hash);
+  return { type: 'text', text: content.text, formats: readRichFormats() };
+}
+
+// Snapshot to restore later. A secure paste that is still pending keeps its
+// snapshot, otherwise the first secret would be "restored" by the second paste.
+async function beginSecurePaste() {
+  if (pendingClipboardRestore) {
+    return pendingClipboardRestore.snapshot;
+  }
+  try {
+    return await captureClipboardSnapshot();
+  } catch (error) {
+    logger.warn('Could not save clipboard before secure paste', error.message);
+    return null;
+  }
+}
+
+function scheduleClipboardRestore(item, snapshot) {
+  if (pendingClipboardRestore) {
+    clearTimeout(pendingClipboardRestore.timer);
   }
+  const seconds = parseInt(settings.secureClipboardSeconds) || 30;
+  const timer = setTimeout(() => {
+    restorePendingClipboard().catch(error => {
+      logger.error('Error clearing clipboard after secure paste', error);
+    });
+  }, seconds * 1000);
+  pendingClipboardRestore = { text: item.text, snapshot, timer };
 }
 
-// Monitor clipboard
-let lastClipboardText = '';
-async function monitorClipboard() {
-  const currentText = clipboard.readText();
-  if (currentText !== lastClipboardText) {
-    lastClipboardText = currentText;
-    await addToHistory(currentText);
+async function restorePendingClipboard() {
+  const pending = pendingClipboardRestore;
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pendingClipboardRestore = null;
+  
+  // Something else was copied in the meantime, leave it alone
+  if (clipboard.readText() !== pending.text) return;
+  
+  // writeItemToClipboard and remember() below tell the watcher what is on the
+  // clipboard now, so the restored (or empty) clipboard is not captured again
+  if (settings.secureClipboardRestore && pending.snapshot) {
+    await writeItemToClipboard(pending.snapshot);
+  } else {
+    clipboard.clear();
+    clipboardWatcher.remember(null);
   }
+  logger.debug('Clipboard cleared after secure paste', {
+    restored: !!(settings.secureClipboardRestore && pending.snapshot)
+  });
 }
 
 // Start monitoring clipboard
 function startMonitoring() {
-  if (monitoringInterval) return; // Already monitoring
+  if (clipboardWatcher.isRunning) return; // Already monitoring
   
   isMonitoring = true;
-  monitoringInterval = setInterval(() => monitorClipboard(), 500);
+  clipboardWatcher.start();
+  updatePrimarySelectionWatcher();
+  logger.info('Clipboard monitoring started', { mode: clipboardWatcher.mode });
   updateTrayMenu();
   
   if (mainWindow && !mainWindow.isDestroyed()) {
@@ -295,13 +1036,11 @@ function startMonitoring() {
 
 // Stop monitoring clipboard
 function stopMonitoring() {
-  if (!monitoringInterval) return; // Already stopped
+  if (!clipboardWatcher.isRunning) return; // Already stopped
   
   isMonitoring = false;
-  if (monitoringInterval) {
-    clearInterval(monitoringInterval);
-    monitoringInterval = null;
-  }
+  clipboardWatcher.stop();
+  updatePrimarySelectionWatcher();
   updateTrayMenu();
   
   if (mainWindow && !mainWindow.isDestroyed()) {
@@ -309,6 +1048,21 @@ function stopMonitoring() {
   }
 }
 
+// PRIMARY selection capture is opt-in and runs along with clipboard monitoring
+function updatePrimarySelectionWatcher() {
+  if (isMonitoring && settings.primarySelectionCapture && process.platform === 'linux') {
+    primarySelectionWatcher.start();
+  } else {
+    primarySelectionWatcher.stop();
+  }
+}
+
+// Put a text item in the PRIMARY selection, where a middle click pastes it
+function writeItemToPrimarySelection(item) {
+  clipboard.writeText(item.text, 'selection');
+  primarySelectionWatcher.remember({ type: 'text', text: item.text });
+}
+
 // Toggle monitoring
 function toggleMonitoring() {
   if (isMonitoring) {
@@ -318,23 +1072,130 @@ function toggleMonitoring() {
   }
 }
 
-// Toggle private mode
-function togglePrivateMode() {
-  isPrivateMode = !isPrivateMode;
-  saveSettings();
-  updateTrayMenu();
-  
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('private-mode-status', isPrivateMode);
+// Private mode is on when it was turned on, for a while (privateModeUntil) or by a schedule
+function getActivePrivateSchedules(date) {
+  if (date.getTime() < skippedScheduleUntil) return [];
+  return (settings.privateSchedules || []).filter(schedule =>
+    schedule.enabled && isWithinTimeWindow(schedule, date)
+  );
+}
+
+function getPrivateModeState(now = Date.now()) {
+  if (settings.privateMode) {
+    return { reason: 'manual', until: null };
+  }
+  if (settings.privateModeUntil && settings.privateModeUntil > now) {
+    return { reason: 'timed', until: settings.privateModeUntil };
   }
+  const [schedule] = getActivePrivateSchedules(new Date(now));
+  if (schedule) {
+    const end = getNextTimeWindowChange(schedule, new Date(now));
+    return { reason: 'schedule', until: end ? end.getTime() : null, schedule: schedule.name };
+  }
+  return null;
 }
 
-// Update tray menu
-function updateTrayMenu() {
-  if (!tray) return;
+// e.g. "until turned off", "resumes in 12 min", "Video calls until 10:00"
+function describePrivateMode() {
+  if (!privateModeState) return '';
+  const { reason, until, schedule } = privateModeState;
+  if (reason === 'manual' || !until) return 'until turned off';
+  if (reason === 'timed') {
+    return `resumes in ${Math.ceil((until - Date.now()) / MINUTE)} min`;
+  }
+  const time = new Date(until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `${schedule} until ${time}`;
+}
+
+// Work out whether capture is paused and when to check again
+// (when a timer or schedule ends or starts, and every minute for the tray countdown)
+function refreshPrivateMode() {
+  if (privateModeTimer) {
+    clearTimeout(privateModeTimer);
+    privateModeTimer = null;
+  }
   
-  const contextMenu = Menu.buildFromTemplate([
-    {
+  const now = Date.now();
+  if (settings.privateModeUntil && settings.privateModeUntil <= now) {
+    settings.privateModeUntil = null;
+    saveSettings();
+  }
+  
+  const wasPrivate = isPrivateMode;
+  privateModeState = getPrivateModeState(now);
+  isPrivateMode = !!privateModeState;
+  if (wasPrivate !== isPrivateMode) {
+    logger.info(isPrivateMode ? 'Private mode on' : 'Private mode off', {
+      reason: privateModeState ? privateModeState.reason : null
+    });
+  }
+  updateTrayMenu();
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('private-mode-status', isPrivateMode, describePrivateMode());
+  }
+  
+  const checks = [];
+  if (privateModeState && privateModeState.until) {
+    // Right when the shown minute changes, or when private mode ends
+    checks.push(((privateModeState.until - now - 1) % MINUTE) + 1);
+  }
+  if (skippedScheduleUntil > now) {
+    checks.push(skippedScheduleUntil - now);
+  }
+  (settings.privateSchedules || []).filter(schedule => schedule.enabled).forEach(schedule => {
+    const next = getNextTimeWindowChange(schedule, new Date(now));
+    if (next) checks.push(next.getTime() - now);
+  });
+  if (checks.length > 0) {
+    // setTimeout can't wait longer than ~24.8 days
+    privateModeTimer = setTimeout(refreshPrivateMode, Math.min(Math.max(Math.min(...checks), 1000), DAY));
+  }
+}
+
+function enterPrivateMode(minutes = 0) {
+  settings.privateMode = !minutes;
+  settings.privateModeUntil = minutes ? Date.now() + minutes * MINUTE : null;
+  saveSettings();
+  refreshPrivateMode();
+}
+
+// Resume capture now, including during a schedule (until that schedule ends)
+function exitPrivateMode() {
+  const now = new Date();
+  getActivePrivateSchedules(now).forEach(schedule => {
+    const end = getNextTimeWindowChange(schedule, now);
+    if (end) skippedScheduleUntil = Math.max(skippedScheduleUntil, end.getTime());
+  });
+  settings.privateMode = false;
+  settings.privateModeUntil = null;
+  saveSettings();
+  refreshPrivateMode();
+}
+
+// Toggle private mode
+function togglePrivateMode(minutes = 0) {
+  if (isPrivateMode) {
+    exitPrivateMode();
+  } else {
+    enterPrivateMode(minutes);
+  }
+}
+
+function normalizePrivateSchedule(schedule) {
+  return {
+    id: schedule.id || `${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
+    enabled: schedule.enabled !== false,
+    name: (schedule.name || '').trim() || 'Scheduled pause',
+    ...normalizeTimeWindow(schedule)
+  };
+}
+
+// Update tray menu
+function updateTrayMenu() {
+  if (!tray) return;
+  
+  const contextMenu = Menu.buildFromTemplate([
+    {
       label: 'Show History',
       click: () => {
         showWindow();
@@ -353,14 +1214,49 @@ function updateTrayMenu() {
         togglePrivateMode();
       }
     },
+    {
+      label: 'Private For',
+      submenu: PRIVATE_MODE_DURATIONS.map(minutes => ({
+        label: minutes < 60 ? `${minutes} Minutes` : `${minutes / 60} Hour`,
+        click: () => enterPrivateMode(minutes)
+      }))
+    },
     {
       label: 'Clear History',
       click: () => {
-        clipboardHistory = [];
-        saveHistory();
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.webContents.send('history-updated', clipboardHistory);
-        }
+        clearUnpinnedHistory();
+      }
+    },
+    { type: 'separator' },
+    {
+      label: 'Collect Mode',
+      type: 'checkbox',
+      checked: isCollectMode,
+      click: () => {
+        toggleCollectMode();
+      }
+    },
+    {
+      label: `Clear Paste Queue (${pasteQueue.length})`,
+      enabled: pasteQueue.length > 0,
+      click: () => {
+        clearPasteQueue();
+      }
+    },
+    { type: 'separator' },
+    {
+      label: 'Export History',
+      submenu: [
+        { label: 'JSON…', click: () => exportFromTray('json') },
+        { label: 'CSV…', click: () => exportFromTray('csv') },
+        { label: 'Markdown…', click: () => exportFromTray('markdown') },
+        { label: 'Encrypted Archive…', click: () => showInWindow('show-export-import', {}) }
+      ]
+    },
+    {
+      label: 'Import History…',
+      click: () => {
+        importFromTray();
       }
     },
     { type: 'separator' },
@@ -370,12 +1266,660 @@ function updateTrayMenu() {
         app.quit();
       }
     }
-  ]);
+  ]);
+  
+  tray.setContextMenu(contextMenu);
+  let status = isMonitoring ? 'Active' : 'Paused';
+  if (isPrivateMode) status += ` (Private, ${describePrivateMode()})`;
+  tray.setToolTip(`Economos - Multi-Clipboard Manager (${status})${getQueueTooltip()}`);
+}
+
+// Queue line for the tray tooltip, e.g. "Paste queue: 3 left, next: "John Smith""
+function getQueueTooltip() {
+  if (pasteQueue.length === 0) {
+    return isCollectMode ? '\nCollecting: queue is empty' : '';
+  }
+  const next = historyStore.get(pasteQueue[0]);
+  let preview = '';
+  if (next && next.sensitive) {
+    // Masked like in the window
+    preview = `•••••••• ${next.sensitive.map(getSensitiveLabel).join(', ')}`;
+  } else if (next) {
+    preview = (next.text || next.category).replace(/\s+/g, ' ');
+    if (preview.length > 30) preview = preview.substring(0, 30) + '...';
+  }
+  return `\nPaste queue: ${pasteQueue.length} left, next: "${preview}"`;
+}
+
+function notifyQueueUpdated() {
+  updateTrayMenu();
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('paste-queue-updated', getQueueState());
+  }
+}
+
+function getQueueState() {
+  return { ids: pasteQueue, collectMode: isCollectMode, shortcut: QUEUE_SHORTCUT };
+}
+
+// Toggle collect mode (clicking items in the window queues them instead of pasting)
+function toggleCollectMode() {
+  isCollectMode = !isCollectMode;
+  logger.debug('Collect mode', { enabled: isCollectMode });
+  notifyQueueUpdated();
+}
+
+// Add items to the end of the paste queue
+function addToPasteQueue(itemIds) {
+  itemIds.forEach(itemId => {
+    if (historyStore.has(itemId)) {
+      pasteQueue.push(itemId);
+    }
+  });
+  notifyQueueUpdated();
+}
+
+function removeFromPasteQueue(itemIds) {
+  if (!pasteQueue.some(id => itemIds.includes(id))) return;
+  pasteQueue = pasteQueue.filter(id => !itemIds.includes(id));
+  notifyQueueUpdated();
+}
+
+function clearPasteQueue() {
+  pasteQueue = [];
+  notifyQueueUpdated();
+}
+
+// Paste the next queued item into the active app (bound to QUEUE_SHORTCUT)
+async function pasteNextFromQueue() {
+  // Skip items deleted from history since they were queued
+  let item = null;
+  while (pasteQueue.length > 0 && !item) {
+    item = historyStore.get(pasteQueue.shift());
+  }
+  notifyQueueUpdated();
+  
+  if (!item) {
+    logger.debug('Paste queue is empty');
+    return;
+  }
+  
+  const secure = isSecurePaste(item);
+  const snapshot = secure ? await beginSecurePaste() : null;
+  try {
+    await writeItemToClipboard(item);
+  } catch (error) {
+    logger.error('Failed to write queued item to clipboard', error);
+    return;
+  }
+  if (secure) {
+    scheduleClipboardRestore(item, snapshot);
+  }
+  
+  // Give the user a moment to release the shortcut keys, otherwise the
+  // simulated Ctrl/Cmd+V is combined with the modifiers still held down
+  setTimeout(() => {
+    try {
+      simulatePaste();
+      logger.debug('Pasted queued item', { remaining: pasteQueue.length });
+    } catch (error) {
+      logger.error('Failed to simulate paste', error);
+    }
+  }, 300);
+}
+
+// Copy an item to the clipboard, hide the window and paste into the app that had focus
+// options.cursorOffset moves the cursor back that many characters after pasting
+// options.secure: take the item off the clipboard again afterwards (always done for sensitive items)
+// options.selection: 'primary' puts a text item in the PRIMARY selection instead (Linux)
+async function pasteIntoActiveApp(item, options = {}) {
+  const secure = isSecurePaste(item, options);
+  
+  // Nothing to simulate for the PRIMARY selection, the user middle-clicks where it should go.
+  // Secrets aren't put there since it can't be cleared again reliably.
+  if (options.selection === 'primary') {
+    if (getItemType(item) !== 'text' || secure) {
+      logger.warn('Only non-sensitive text can be put in the PRIMARY selection');
+      return;
+    }
+    writeItemToPrimarySelection(item);
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.hide();
+    }
+    logger.debug('Item put in the PRIMARY selection', { textLength: item.text.length });
+    return;
+  }
+  
+  const snapshot = secure ? await beginSecurePaste() : null;
+  try {
+    await writeItemToClipboard(item, options);
+  } catch (error) {
+    logger.error('Failed to write item to clipboard', error);
+    return;
+  }
+  if (secure) {
+    scheduleClipboardRestore(item, snapshot);
+  }
+  
+  // Hide window first
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.hide();
+  }
+  
+  // Wait a moment for window to close and focus to return, then simulate paste
+  setTimeout(() => {
+    try {
+      simulatePaste();
+      logger.debug('Pasted item', {
+        type: getItemType(item),
+        textLength: item.text.length,
+        plainText: !!options.plainText,
+        secure
+      });
+      
+      if (options.cursorOffset) {
+        // Give the target app a moment to insert the text first
+        setTimeout(() => simulateCursorLeft(options.cursorOffset), 150);
+      }
+    } catch (error) {
+      logger.error('Failed to simulate paste', error);
+      // User can still manually paste with Cmd/Ctrl+V
+    }
+  }, 200);
+}
+
+// Delete items from history (and from the paste queue)
+function deleteHistoryItems(itemIds) {
+  const removed = removeHistoryItems(itemIds);
+  logger.debug('Items deleted from history', { count: removed.length });
+}
+
+// Bump an item to the top of the history (done when it is pasted)
+function moveItemToTop(itemId) {
+  const item = historyStore.get(itemId);
+  if (!item || item.id === (historyStore.latest() || {}).id) return;
+  putHistoryItems([{ ...item, timestamp: Date.now() }]);
+}
+
+// Fields the window is allowed to change through update-item
+const EDITABLE_FIELDS = ['text', 'category'];
+
+function updateHistoryItem(itemId, changes) {
+  const item = historyStore.get(itemId);
+  if (!item) return null;
+  
+  const updated = { ...item };
+  EDITABLE_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) {
+      updated[field] = changes[field];
+    }
+  });
+  // Edited text no longer matches the stored HTML/RTF, and may have gained or lost a secret
+  if (updated.text !== item.text) {
+    delete updated.formats;
+    if (!flagSensitiveItem(updated)) {
+      delete updated.sensitive;
+      delete updated.expiresAt;
+    }
+  }
+  putHistoryItems([updated]);
+  return updated;
+}
+
+// Pin or unpin items; pinnedAt follows the given order so it becomes the order of the pinned section
+function setItemsPinned(itemIds, pinned) {
+  const now = Date.now();
+  const updatedItems = [];
+  itemIds.forEach((itemId, index) => {
+    const item = historyStore.get(itemId);
+    if (!item || !!item.pinned === !!pinned) return;
+    
+    const updated = { ...item, pinned: !!pinned };
+    if (pinned) {
+      updated.pinnedAt = now + index;
+    } else {
+      delete updated.pinnedAt;
+    }
+    updatedItems.push(updated);
+  });
+  putHistoryItems(updatedItems);
+  logger.debug(pinned ? 'Items pinned' : 'Items unpinned', { count: updatedItems.length });
+}
+
+function setItemsCategory(itemIds, category) {
+  if (!isCategory(category)) return;
+  const updatedItems = itemIds
+    .map(itemId => historyStore.get(itemId))
+    .filter(item => item && item.category !== category)
+    .map(item => ({ ...item, category }));
+  putHistoryItems(updatedItems);
+  logger.debug('Items re-categorized', { count: updatedItems.length, category });
+}
+
+// Join the text of several items (in the given order) into a new clip.
+// Images have no text and are left out.
+function mergeItems(itemIds, separator) {
+  const parts = itemIds
+    .map(itemId => historyStore.get(itemId))
+    .filter(item => item && getItemType(item) !== 'image' && item.text)
+    .map(item => item.text);
+  if (parts.length === 0) {
+    return null;
+  }
+  
+  const text = parts.join(separator);
+  const now = Date.now();
+  const mergedItem = {
+    type: 'text',
+    text,
+    timestamp: now,
+    capturedAt: now,
+    id: createItemId(),
+    category: aiService.fallbackCategorize(text)
+  };
+  flagSensitiveItem(mergedItem);
+  putHistoryItems([mergedItem]);
+  return mergedItem;
+}
+
+// Items to export: given ids, or all items narrowed by category and age
+function getExportItems({ ids = null, category = '', sinceDays = 0 } = {}) {
+  let items = ids ? ids.map(itemId => historyStore.get(itemId)).filter(Boolean) : historyStore.all();
+  if (category) {
+    items = items.filter(item => (item.category || 'other') === category);
+  }
+  if (sinceDays > 0) {
+    const cutoffTime = Date.now() - sinceDays * DAY;
+    items = items.filter(item => item.timestamp >= cutoffTime);
+  }
+  return items;
+}
+
+// Ask where to save and write the export.
+// options.includeSensitive: also write detected secrets into the plain formats
+async function exportHistory(allItems, format, { password, includeSensitive = false } = {}) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  const items = getExportableItems(allItems, format, { includeSensitive });
+  const content = await exportItems(items, format, { password });
+  
+  // No parent window: the history window hides when it loses focus
+  const { canceled, filePath } = await dialog.showSaveDialog({
+    title: 'Export Clipboard History',
+    defaultPath: `economos-export-${new Date().toISOString().split('T')[0]}.${exportFormat.extension}`,
+    filters: [{ name: exportFormat.name, extensions: [exportFormat.extension] }]
+  });
+  if (canceled || !filePath) {
+    return { success: false, canceled: true };
+  }
+  
+  writeFileAtomic(filePath, content, { mode: 0o600 });
+  const leftOut = allItems.length - items.length;
+  logger.info('Exported clipboard history', { format, count: items.length, leftOut });
+  return { success: true, count: items.length, leftOut, path: filePath };
+}
+
+// Turn an imported item into a valid history item, or null if it can't be used.
+// Exports from older versions may have no id, timestamp or category.
+function normalizeImportedItem(item) {
+  if (!item || typeof item !== 'object') return null;
+  const normalized = sanitizeItem({
+    ...item,
+    id: item.id === undefined || item.id === '' ? createItemId() : String(item.id),
+    timestamp: Number.isFinite(item.timestamp) ? item.timestamp : Date.now()
+  });
+  if (!normalized) return null; // e.g. CSV rows have no image data
+  
+  if (!normalized.category) {
+    normalized.category = aiService.fallbackCategorize(normalized.text);
+  }
+  if (normalized.type === 'file' && !normalized.files) {
+    normalized.files = getFileMetadata(normalized.text.split('\n'));
+  }
+  if (normalized.pinned && !normalized.pinnedAt) {
+    normalized.pinnedAt = normalized.timestamp;
+  }
+  return normalized;
+}
+
+function getContentKey(item) {
+  return getItemType(item) === 'image' ? `image:${item.hash}` : `${getItemType(item)}:${item.text}`;
+}
+
+// Merge imported items into history, skipping ids and contents that are already there
+async function mergeImportedItems(items) {
+  const existingKeys = new Set(historyStore.all().map(getContentKey));
+  const newItems = [];
+  let skipped = 0;
+  
+  items.forEach(item => {
+    const normalized = normalizeImportedItem(item);
+    if (!normalized || historyStore.has(normalized.id) || existingKeys.has(getContentKey(normalized))) {
+      skipped++;
+      return;
+    }
+    existingKeys.add(getContentKey(normalized));
+    newItems.push(normalized);
+  });
+  
+  putHistoryItems(newItems);
+  await cleanupOldItems();
+  return { imported: newItems.length, skipped };
+}
+
+// Import an export file (asks for it when no path is given).
+// Encrypted archives without a password return needsPassword so the window can ask for it.
+async function importHistory({ filePath = null, password = '' } = {}) {
+  if (!filePath) {
+    const { canceled, filePaths } = await dialog.showOpenDialog({
+      title: 'Import Clipboard History',
+      properties: ['openFile'],
+      filters: [{ name: 'Clipboard History Export', extensions: ['json', 'csv', EXPORT_FORMATS.archive.extension] }]
+    });
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    filePath = filePaths[0];
+  }
+  
+  const content = fs.readFileSync(filePath, 'utf8');
+  if (isEncryptedArchive(content) && !password) {
+    return { success: false, needsPassword: true, filePath };
+  }
+  
+  const { format, items } = await readExportedItems(content, filePath, { password });
+  const result = await mergeImportedItems(items);
+  logger.info('Imported clipboard history', { format, ...result });
+  return { success: true, ...result };
+}
+
+function exportFromTray(format) {
+  exportHistory(historyStore.all(), format).catch(error => {
+    logger.error('Error exporting history', error);
+    dialog.showErrorBox('Export Failed', error.message);
+  });
+}
+
+function importFromTray() {
+  importHistory().then(result => {
+    if (result.needsPassword) {
+      // The window has the password field
+      showInWindow('show-export-import', { importPath: result.filePath });
+    } else if (result.success) {
+      dialog.showMessageBox({
+        type: 'info',
+        title: 'Economos',
+        message: `Imported ${result.imported} item${result.imported === 1 ? '' : 's'}`,
+        detail: result.skipped > 0 ? `${result.skipped} item(s) were already in your history or could not be read.` : ''
+      }).catch(() => {});
+    }
+  }).catch(error => {
+    logger.error('Error importing history', error);
+    dialog.showErrorBox('Import Failed', error.message);
+  });
+}
+
+// Clear history but keep pinned items
+function clearUnpinnedHistory() {
+  const unpinnedIds = historyStore.all().filter(item => !item.pinned).map(item => item.id);
+  if (unpinnedIds.length === historyStore.count) {
+    historyStore.clear();
+    removeFromPasteQueue(unpinnedIds);
+    recordSyncChanges({ removed: unpinnedIds });
+    notifyHistoryUpdated();
+  } else {
+    removeHistoryItems(unpinnedIds);
+  }
+}
+
+// Detected secrets and items with a lifetime (TTL rules) never leave this device:
+// their expiry only runs here, so other devices would keep them forever
+function isDeviceOnlyItem(item) {
+  return !!(item.sensitive || item.expiresAt);
+}
+
+// Folder sync: local changes are appended to this device's log in the sync folder,
+// changes from other devices are polled and applied without being recorded again
+function recordSyncChanges({ upserted = [], removed = [] }) {
+  if (!syncEngine.isRunning) return;
+  try {
+    syncEngine.recordChanges({ upserted: upserted.filter(item => !isDeviceOnlyItem(item)), removed });
+  } catch (error) {
+    lastSyncError = error.message;
+    logger.error('Error writing sync changes', error);
+  }
+}
+
+function getSyncKey() {
+  const hex = secretStore.get('syncKey');
+  return hex ? Buffer.from(hex, 'hex') : null;
+}
+
+function getSyncStatus() {
+  return {
+    enabled: settings.syncEnabled,
+    running: syncEngine.isRunning,
+    folder: settings.syncFolder,
+    deviceId: syncEngine.deviceId,
+    devices: syncEngine.getDevices(),
+    lastSync: lastSyncTime,
+    error: lastSyncError
+  };
+}
+
+function notifySyncStatus() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('sync-status', getSyncStatus());
+  }
+}
+
+function applyRemoteChanges({ upserted, removed }) {
+  historyStore.putMany(upserted);
+  const removedIds = historyStore.remove(removed);
+  removeFromPasteQueue(removedIds);
+  notifyHistoryChanged({ upserted, removed: removedIds });
+}
+
+async function syncNow() {
+  if (!syncEngine.isRunning) return;
+  try {
+    const result = syncEngine.poll();
+    syncEngine.compactIfNeeded();
+    lastSyncTime = Date.now();
+    lastSyncError = null;
+    if (result.unreadable > 0) {
+      lastSyncError = `${result.unreadable} change(s) in the sync folder could not be read`;
+      logger.warn('Unreadable changes in sync folder', { unreadable: result.unreadable });
+    }
+    if (result.upserted.length > 0 || result.removed.length > 0) {
+      applyRemoteChanges(result);
+      logger.info('Applied changes from sync folder', {
+        upserted: result.upserted.length,
+        removed: result.removed.length
+      });
+      // Synced items still have to fit this device's retention and size limits
+      await cleanupOldItems();
+    }
+  } catch (error) {
+    lastSyncError = error.message;
+    logger.error('Error syncing history', error);
+  }
+  notifySyncStatus();
+}
+
+function startSync() {
+  stopSync();
+  const key = getSyncKey();
+  if (!settings.syncEnabled || !settings.syncFolder || !key) return;
+  
+  syncEngine.start(settings.syncFolder, key);
+  logger.info('Folder sync started', { folder: settings.syncFolder, deviceId: syncEngine.deviceId });
+  syncNow();
+  syncInterval = setInterval(syncNow, SYNC_INTERVAL);
+}
+
+function stopSync() {
+  if (syncInterval) {
+    clearInterval(syncInterval);
+    syncInterval = null;
+  }
+  syncEngine.stop();
+}
+
+// Join a sync folder (the first device sets the passphrase, the others must match it)
+async function enableSync(folder, passphrase) {
+  if (!folder) {
+    throw new Error('Choose a sync folder first');
+  }
+  if (!passphrase || passphrase.length < 8) {
+    throw new Error('The sync passphrase must be at least 8 characters');
+  }
+  
+  const key = await syncEngine.connect(folder, passphrase);
+  secretStore.set({ syncKey: key.toString('hex') });
+  settings.syncEnabled = true;
+  settings.syncFolder = folder;
+  saveSettings();
+  startSync();
+  
+  // Upload what only this device has so far (items already read from the folder are skipped)
+  recordSyncChanges({ upserted: historyStore.all().filter(item => !syncEngine.hasVersion(item.id)) });
+  notifySyncStatus();
+}
+
+// Stop syncing. The folder and the other devices' history are left as they are.
+function disableSync() {
+  stopSync();
+  syncEngine.reset();
+  secretStore.set({ syncKey: '' });
+  settings.syncEnabled = false;
+  saveSettings();
+  lastSyncTime = null;
+  lastSyncError = null;
+  notifySyncStatus();
+}
+
+// LAN sharing: local copies are sent to paired devices on the same network,
+// their copies come in through addToHistory() tagged with the device they came from
+function getLanDevice() {
+  return { id: getLanDeviceId(), name: settings.deviceName || os.hostname() };
+}
+
+// Kept apart from the sync folder's device id, which changes when sync is reset.
+// Devices paired before it existed know this one by the sync id, so that one is kept.
+function getLanDeviceId() {
+  if (!settings.lanDeviceId) {
+    settings.lanDeviceId = settings.lanPeers.length > 0
+      ? syncEngine.deviceId
+      : crypto.randomBytes(8).toString('hex');
+    saveSettings();
+  }
+  return settings.lanDeviceId;
+}
+
+function getLanStatus() {
+  return {
+    enabled: settings.lanSharingEnabled,
+    running: lanSync.isRunning,
+    port: lanSync.isRunning ? lanSync.port : settings.lanSharingPort,
+    device: getLanDevice(),
+    addresses: lanSync.isRunning ? lanSync.getAddresses() : [],
+    peers: settings.lanPeers,
+    pairing: lanSync.getPairing(),
+    error: lastLanError
+  };
+}
+
+function notifyLanStatus() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('lan-status', getLanStatus());
+  }
+}
+
+// Peers go to settings.json, their pair keys to the secret store
+function saveLanPeers() {
+  settings.lanPeers = lanSync.peers;
+  saveSettings();
+  try {
+    secretStore.set({ lanPeerKeys: lanSync.keys });
+  } catch (error) {
+    logger.error('Error saving LAN pairing keys', error);
+  }
+}
+
+async function startLanSharing() {
+  stopLanSharing();
+  lastLanError = null;
+  if (!settings.lanSharingEnabled) {
+    notifyLanStatus();
+    return;
+  }
+  
+  try {
+    await lanSync.start({
+      port: settings.lanSharingPort,
+      device: getLanDevice(),
+      peers: settings.lanPeers,
+      keys: secretStore.get('lanPeerKeys') || {},
+      handlers: {
+        onItem: receiveSharedEntry,
+        onPaired: peer => {
+          saveLanPeers();
+          logger.info('Paired with LAN device', { id: peer.id, name: peer.name });
+          notifyLanStatus();
+        },
+        onPeerUpdated: saveLanPeers
+      }
+    });
+    logger.info('LAN sharing started', { port: lanSync.port, peers: settings.lanPeers.length });
+  } catch (error) {
+    lastLanError = error.code === 'EADDRINUSE'
+      ? `Port ${settings.lanSharingPort} is already in use`
+      : error.message;
+    logger.error('Error starting LAN sharing', error);
+  }
+  notifyLanStatus();
+}
+
+function stopLanSharing() {
+  lanSync.stop();
+}
+
+// Only these fields of an entry are sent, and accepted from other devices
+function getSharedEntry(entry) {
+  const shared = {};
+  ['type', 'text', 'formats', 'image', 'thumbnail', 'width', 'height', 'hash'].forEach(field => {
+    if (entry[field] !== undefined) shared[field] = entry[field];
+  });
+  return shared;
+}
+
+// Copied files are not shared: their paths only exist on this machine
+function shareEntry(entry) {
+  if (!lanSync.isRunning || entry.type === 'file' || isDeviceOnlyItem(entry)) return;
+  lanSync.share(getSharedEntry(entry)).then(({ sent, failed }) => {
+    if (failed > 0) {
+      logger.debug('Clip not delivered to every LAN device', { sent, failed });
+    }
+  }).catch(error => {
+    logger.error('Error sharing clip on LAN', error);
+  });
+}
+
+// Clips from paired devices are rebuilt from the shared fields and checked
+// like imported items (see item-validation.js)
+function receiveSharedEntry(entry, peer) {
+  const shared = sanitizeEntry(getSharedEntry(entry || {}));
+  if (!shared || shared.type === 'file') {
+    logger.warn('Ignored unsupported clip from LAN device', { device: peer.name });
+    return;
+  }
   
-  tray.setContextMenu(contextMenu);
-  let status = isMonitoring ? 'Active' : 'Paused';
-  if (isPrivateMode) status += ' (Private)';
-  tray.setToolTip(`Economos - Multi-Clipboard Manager (${status})`);
+  addToHistory(shared, { source: peer }).catch(error => {
+    logger.error('Error adding clip from LAN device', error);
+  });
 }
 
 // Create a simple fallback icon
@@ -486,6 +2030,45 @@ function createWindow() {
   });
 }
 
+// Ask for the master password before anything encrypted is read.
+// Resolves to true once unlocked, false if the prompt was closed.
+function promptForUnlock() {
+  return new Promise((resolve) => {
+    let unlocked = false;
+    
+    unlockWindow = new BrowserWindow({
+      width: 360,
+      height: 230,
+      frame: false,
+      resizable: false,
+      alwaysOnTop: true,
+      webPreferences: {
+        nodeIntegration: true,
+        contextIsolation: false
+      }
+    });
+    unlockWindow.loadFile('unlock.html');
+    
+    ipcMain.handle('unlock-master-password', async (event, password) => {
+      const key = await unlockEncryptionKey(app.getPath('userData'), password || '');
+      if (!key) {
+        logger.warn('Wrong master password entered');
+        return { success: false, error: 'Wrong password' };
+      }
+      encryptionKey = key;
+      unlocked = true;
+      unlockWindow.close();
+      return { success: true };
+    });
+    
+    unlockWindow.on('closed', () => {
+      ipcMain.removeHandler('unlock-master-password');
+      unlockWindow = null;
+      resolve(unlocked);
+    });
+  });
+}
+
 function showWindow() {
   if (!mainWindow) {
     createWindow();
@@ -493,19 +2076,18 @@ function showWindow() {
   
   // Send current state to renderer
   if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('history-updated', clipboardHistory);
     mainWindow.webContents.send('monitoring-status', isMonitoring);
-    mainWindow.webContents.send('private-mode-status', isPrivateMode);
-    mainWindow.webContents.send('settings-updated', settings);
+    mainWindow.webContents.send('private-mode-status', isPrivateMode, describePrivateMode());
+    mainWindow.webContents.send('settings-updated', getRendererSettings());
   }
   
   // Initialize AI service if API keys are set
   if (settings.aiEnabled) {
-    if (settings.openaiApiKey) {
-      aiService.setOpenAIKey(settings.openaiApiKey);
+    if (secretStore.get('openaiApiKey')) {
+      aiService.setOpenAIKey(secretStore.get('openaiApiKey'));
     }
-    if (settings.groqApiKey) {
-      aiService.setGroqKey(settings.groqApiKey);
+    if (secretStore.get('groqApiKey')) {
+      aiService.setGroqKey(secretStore.get('groqApiKey'));
     }
   }
   
@@ -532,6 +2114,22 @@ function showWindow() {
   mainWindow.focus();
 }
 
+// Register a global shortcut, logging (not throwing) when it's taken
+function registerGlobalShortcut(shortcut, callback) {
+  try {
+    const registered = globalShortcut.register(shortcut, callback);
+    
+    if (!registered) {
+      logger.warn(`Failed to register global shortcut: ${shortcut}`);
+    } else {
+      logger.info(`Global shortcut registered: ${shortcut}`);
+    }
+  } catch (error) {
+    logger.error('Failed to register global shortcut', error);
+    // Continue without global shortcut - user can still use tray menu
+  }
+}
+
 // Setup crash handlers
 function setupCrashHandlers() {
   // Handle uncaught exceptions
@@ -577,13 +2175,31 @@ app.whenReady().then(async () => {
       logger.error('Failed to load settings', error);
     }
     
+    recoverInterruptedKeyRotation();
+    
+    // The history can't be read until the master password unlocks the key
+    if (hasMasterPassword(app.getPath('userData'))) {
+      const unlocked = await promptForUnlock();
+      if (!unlocked) {
+        logger.info('Unlock cancelled, quitting');
+        app.quit();
+        return;
+      }
+      logger.info('Encryption key unlocked');
+    }
+    
     try {
       await loadHistory();
     } catch (error) {
       logger.error('Failed to load history', error);
-      clipboardHistory = []; // Start with empty history
+      historyStore.reset(); // Start with empty history
     }
     
+    loadSnippets();
+    loadSecrets();
+    startSync();
+    startLanSharing();
+    
     // Create tray (non-critical, continue if it fails)
     try {
       createTray();
@@ -610,22 +2226,22 @@ app.whenReady().then(async () => {
       return;
     }
     
-    // Register global shortcut
-    try {
-      const shortcut = process.platform === 'darwin' ? 'CommandOrControl+Shift+V' : 'Control+Shift+V';
-      const registered = globalShortcut.register(shortcut, () => {
-        showWindow();
+    // Register global shortcuts
+    const shortcut = process.platform === 'darwin' ? 'CommandOrControl+Shift+V' : 'Control+Shift+V';
+    registerGlobalShortcut(shortcut, () => {
+      showWindow();
+    });
+    registerGlobalShortcut(QUEUE_SHORTCUT, () => {
+      pasteNextFromQueue().catch(error => {
+        logger.error('Error pasting from queue', error);
       });
-      
-      if (!registered) {
-        logger.warn(`Failed to register global shortcut: ${shortcut}`);
-      } else {
-        logger.info(`Global shortcut registered: ${shortcut}`);
-      }
-    } catch (error) {
-      logger.error('Failed to register global shortcut', error);
-      // Continue without global shortcut - user can still use tray menu
-    }
+    });
+    registerGlobalShortcut(PRIVATE_SHORTCUT, () => {
+      togglePrivateMode(settings.privateShortcutMinutes);
+    });
+    
+    // Resume a timed private mode or apply schedules
+    refreshPrivateMode();
     
     // Start monitoring clipboard
     try {
@@ -643,6 +2259,8 @@ app.whenReady().then(async () => {
       // Non-critical, continue
     }
     
+    startBackupService();
+    
     logger.info('Economos started successfully', {
       platform: process.platform,
       version: app.getVersion(),
@@ -657,7 +2275,24 @@ app.whenReady().then(async () => {
 
 app.on('will-quit', () => {
   globalShortcut.unregisterAll();
+  clipboardWatcher.stop(); // ends the change notifier helper process
+  primarySelectionWatcher.stop();
   stopCleanupService();
+  if (privateModeTimer) {
+    clearTimeout(privateModeTimer);
+    privateModeTimer = null;
+  }
+  if (backupInterval) {
+    clearInterval(backupInterval);
+    backupInterval = null;
+  }
+  backupHistory();
+  // Don't leave a secure paste on the clipboard
+  restorePendingClipboard().catch(error => {
+    logger.error('Error clearing clipboard on quit', error);
+  });
+  stopSync();
+  stopLanSharing();
 });
 
 app.on('window-all-closed', (e) => {
@@ -666,28 +2301,19 @@ app.on('window-all-closed', (e) => {
 
 // IPC handlers
 const { ipcMain } = require('electron');
-ipcMain.on('paste-item', async (event, text) => {
-  clipboard.writeText(text);
-  
-  // Hide window first
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.hide();
+// options: { plainText: true } pastes without the stored formatting
+ipcMain.on('paste-item', async (event, itemId, options = {}) => {
+  const item = historyStore.get(itemId);
+  if (!item) {
+    logger.warn('Paste requested for unknown item', { itemId });
+    return;
   }
-  
-  // Wait a moment for window to close and focus to return, then simulate paste
-  setTimeout(() => {
-    try {
-      simulatePaste();
-      logger.debug('Pasted item', { textLength: text.length });
-    } catch (error) {
-      logger.error('Failed to simulate paste', error);
-      // User can still manually paste with Cmd/Ctrl+V
-    }
-  }, 200);
+  moveItemToTop(itemId);
+  await pasteIntoActiveApp(historyStore.get(itemId), options);
 });
 
 ipcMain.on('get-history', (event) => {
-  event.returnValue = clipboardHistory;
+  event.returnValue = historyStore.all();
 });
 
 ipcMain.on('close-window', () => {
@@ -696,26 +2322,101 @@ ipcMain.on('close-window', () => {
   }
 });
 
-ipcMain.on('update-history', async (event, newHistory) => {
-  clipboardHistory = newHistory;
-  await saveHistory();
+ipcMain.on('move-to-top', async (event, itemId) => {
+  moveItemToTop(itemId);
+});
+
+ipcMain.on('update-item', async (event, itemId, changes) => {
+  if (!updateHistoryItem(itemId, changes || {})) {
+    logger.warn('Update requested for unknown item', { itemId });
+  }
 });
 
 ipcMain.on('delete-item', async (event, itemId) => {
-  clipboardHistory = clipboardHistory.filter(item => item.id !== itemId);
-  await saveHistory();
-  logger.debug('Item deleted from history', { itemId });
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('history-updated', clipboardHistory);
+  deleteHistoryItems([itemId]);
+});
+
+ipcMain.on('pin-item', async (event, itemId, pinned) => {
+  setItemsPinned([itemId], pinned);
+});
+
+// Bulk actions for multi-selected items
+ipcMain.on('delete-items', async (event, itemIds) => {
+  deleteHistoryItems(itemIds);
+});
+
+ipcMain.on('pin-items', async (event, itemIds, pinned) => {
+  setItemsPinned(itemIds, pinned);
+});
+
+ipcMain.on('set-items-category', async (event, itemIds, category) => {
+  setItemsCategory(itemIds, category);
+});
+
+ipcMain.on('merge-and-paste', async (event, itemIds, separator) => {
+  const mergedItem = mergeItems(itemIds, separator);
+  if (!mergedItem) {
+    logger.warn('Nothing to merge', { count: itemIds.length });
+    return;
+  }
+  await pasteIntoActiveApp(mergedItem);
+});
+
+ipcMain.handle('export-items', async (event, itemIds) => {
+  try {
+    return await exportHistory(getExportItems({ ids: itemIds }), 'json');
+  } catch (error) {
+    logger.error('Error exporting items', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Export / import from the Settings panel
+ipcMain.handle('export-history', async (event, { format, filter, password, includeSensitive }) => {
+  try {
+    return await exportHistory(getExportItems(filter), format, { password, includeSensitive: !!includeSensitive });
+  } catch (error) {
+    logger.error('Error exporting history', error);
+    return { success: false, error: error.message };
   }
 });
 
+ipcMain.handle('import-history', async (event, { filePath, password }) => {
+  try {
+    return await importHistory({ filePath, password });
+  } catch (error) {
+    logger.error('Error importing history', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Paste queue handlers
+ipcMain.on('get-paste-queue', (event) => {
+  event.returnValue = getQueueState();
+});
+
+ipcMain.on('toggle-collect-mode', () => {
+  toggleCollectMode();
+});
+
+ipcMain.on('queue-items', (event, itemIds) => {
+  addToPasteQueue(itemIds);
+});
+
+ipcMain.on('dequeue-item', (event, itemId) => {
+  removeFromPasteQueue([itemId]);
+});
+
+ipcMain.on('clear-paste-queue', () => {
+  clearPasteQueue();
+});
+
 ipcMain.on('toggle-monitoring', () => {
   toggleMonitoring();
 });
 
-ipcMain.on('toggle-private-mode', () => {
-  togglePrivateMode();
+ipcMain.on('toggle-private-mode', (event, minutes) => {
+  togglePrivateMode(minutes);
 });
 
 ipcMain.on('get-monitoring-status', (event) => {
@@ -723,33 +2424,281 @@ ipcMain.on('get-monitoring-status', (event) => {
 });
 
 ipcMain.on('get-private-mode-status', (event) => {
-  event.returnValue = isPrivateMode;
+  event.returnValue = { isPrivateMode, detail: describePrivateMode() };
+});
+
+// Master password
+ipcMain.on('get-master-password-status', (event) => {
+  event.returnValue = hasMasterPassword(app.getPath('userData'));
+});
+
+// Set or change the master password. Only the key file is rewritten.
+ipcMain.handle('set-master-password', async (event, { currentPassword, newPassword }) => {
+  try {
+    const userDataPath = app.getPath('userData');
+    if (!newPassword) {
+      return { success: false, error: 'Password cannot be empty' };
+    }
+    if (hasMasterPassword(userDataPath)) {
+      const key = await unlockEncryptionKey(userDataPath, currentPassword || '');
+      if (!key || !key.equals(getDataKey())) {
+        return { success: false, error: 'Current password is incorrect' };
+      }
+    }
+    
+    await setMasterPassword(userDataPath, getDataKey(), newPassword);
+    logger.info('Master password set');
+    return { success: true };
+  } catch (error) {
+    logger.error('Error setting master password', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('remove-master-password', async (event, currentPassword) => {
+  try {
+    const userDataPath = app.getPath('userData');
+    const key = await unlockEncryptionKey(userDataPath, currentPassword || '');
+    if (!key || !key.equals(getDataKey())) {
+      return { success: false, error: 'Current password is incorrect' };
+    }
+    
+    removeMasterPassword(userDataPath, key);
+    logger.info('Master password removed');
+    return { success: true };
+  } catch (error) {
+    logger.error('Error removing master password', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// History backups
+ipcMain.handle('get-history-backups', async () => {
+  try {
+    return { success: true, backups: getHistoryBackups() };
+  } catch (error) {
+    logger.error('Error listing history backups', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('restore-history-backup', async (event, name) => {
+  try {
+    const count = await restoreHistoryBackup(name);
+    return { success: true, count };
+  } catch (error) {
+    logger.error('Error restoring history backup', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rotate-encryption-key', async (event, password) => {
+  try {
+    await rotateEncryptionKey(password);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('choose-sync-folder', async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog({
+    title: 'Choose Sync Folder',
+    properties: ['openDirectory', 'createDirectory']
+  });
+  return canceled || filePaths.length === 0 ? null : filePaths[0];
+});
+
+ipcMain.handle('enable-sync', async (event, { folder, passphrase }) => {
+  try {
+    await enableSync(folder, passphrase);
+    return { success: true, status: getSyncStatus() };
+  } catch (error) {
+    logger.error('Error enabling folder sync', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('disable-sync', async () => {
+  try {
+    disableSync();
+    return { success: true, status: getSyncStatus() };
+  } catch (error) {
+    logger.error('Error disabling folder sync', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('sync-now', async () => {
+  await syncNow();
+  return getSyncStatus();
+});
+
+ipcMain.on('get-sync-status', (event) => {
+  event.returnValue = getSyncStatus();
+});
+
+ipcMain.on('get-lan-status', (event) => {
+  event.returnValue = getLanStatus();
+});
+
+ipcMain.handle('begin-lan-pairing', async () => {
+  try {
+    const pairing = lanSync.beginPairing();
+    logger.info('Waiting for a LAN device to pair');
+    return { success: true, pairing };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.on('cancel-lan-pairing', () => {
+  lanSync.cancelPairing();
+  notifyLanStatus();
+});
+
+ipcMain.handle('pair-lan-device', async (event, { address, code }) => {
+  try {
+    const { peer } = await lanSync.pair(address, code);
+    saveLanPeers();
+    logger.info('Paired with LAN device', { id: peer.id, name: peer.name });
+    notifyLanStatus();
+    return { success: true, peer };
+  } catch (error) {
+    logger.error('Error pairing with LAN device', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.on('remove-lan-peer', (event, peerId) => {
+  lanSync.removePeer(peerId);
+  saveLanPeers();
+  notifyLanStatus();
+});
+
+ipcMain.handle('remove-api-key', async (event, name) => {
+  try {
+    if (!SECRET_SETTINGS.includes(name)) {
+      throw new Error('Unknown API key');
+    }
+    secretStore.set({ [name]: '' });
+    // The AI service keeps the key it was last given
+    if (name === 'openaiApiKey') {
+      aiService.setOpenAIKey(null);
+    } else {
+      aiService.setGroqKey(null);
+    }
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('settings-updated', getRendererSettings());
+    }
+    return { success: true };
+  } catch (error) {
+    logger.error('Error removing API key', error);
+    return { success: false, error: error.message };
+  }
 });
 
 ipcMain.on('get-settings', (event) => {
-  event.returnValue = settings;
+  event.returnValue = getRendererSettings();
 });
 
 ipcMain.on('update-settings', async (event, newSettings) => {
+  // API keys go to the secret store, never into settings.json
+  const secrets = {};
+  SECRET_SETTINGS.forEach(name => {
+    if (newSettings[name] !== undefined) {
+      secrets[name] = newSettings[name];
+      delete newSettings[name];
+    }
+  });
+  if (Object.keys(secrets).length > 0) {
+    try {
+      secretStore.set(secrets);
+    } catch (error) {
+      logger.error('Error saving API keys', error);
+    }
+  }
+  
   settings = { ...settings, ...newSettings };
   saveSettings();
   
-  // If retention days changed, restart cleanup service
-  if (newSettings.retentionDays !== undefined) {
+  // If retention or size limits changed, restart cleanup service
+  if (newSettings.retentionDays !== undefined ||
+      newSettings.categoryRetention !== undefined ||
+      newSettings.sensitiveDetection !== undefined ||
+      newSettings.sensitiveLifetimeMinutes !== undefined ||
+      newSettings.maxHistoryItems !== undefined ||
+      newSettings.maxStorageMB !== undefined) {
     startCleanupService();
     // Clean up immediately when setting changes (already called in startCleanupService, but ensure it runs)
   }
   
-  // If switching to/from in-memory mode or encryption, reload history
-  if (newSettings.inMemoryOnly !== undefined || newSettings.encryptionEnabled !== undefined) {
+  if (newSettings.lanSharingEnabled !== undefined ||
+      newSettings.lanSharingPort !== undefined ||
+      newSettings.deviceName !== undefined) {
+    startLanSharing();
+  }
+  
+  if (newSettings.primarySelectionCapture !== undefined) {
+    updatePrimarySelectionWatcher();
+  }
+  
+  // If switching to/from in-memory mode, reload history
+  if (newSettings.inMemoryOnly !== undefined) {
     await loadHistory();
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('history-updated', clipboardHistory);
+    notifyHistoryUpdated();
+  } else if (newSettings.encryptionEnabled !== undefined) {
+    // Rewrite the log and snippets so everything uses the new encryption setting.
+    // A plain log is dropped on load while encryption is on, so this includes the one
+    // left on disk in in-memory mode.
+    try {
+      configureHistoryStore();
+      if (settings.inMemoryOnly) {
+        const key = getDataKey();
+        rewriteDiskHistoryLog(
+          { key, encrypt: !settings.encryptionEnabled },
+          { key, encrypt: settings.encryptionEnabled }
+        );
+      } else {
+        historyStore.compact();
+      }
+      snippetStore.write();
+    } catch (error) {
+      logger.error('Error rewriting history after encryption change', error);
     }
   }
   
   if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('settings-updated', settings);
+    mainWindow.webContents.send('settings-updated', getRendererSettings());
+  }
+});
+
+// The window always sends the whole list, in order
+ipcMain.handle('save-capture-rules', async (event, rules) => {
+  try {
+    settings.captureRules = rules.map(normalizeRule);
+    saveSettings();
+    startCleanupService(); // TTL rules need the cleanup to run every minute
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('settings-updated', getRendererSettings());
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-private-schedules', async (event, schedules) => {
+  try {
+    settings.privateSchedules = schedules.map(normalizePrivateSchedule);
+    saveSettings();
+    refreshPrivateMode();
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('settings-updated', getRendererSettings());
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
 });
 
@@ -758,7 +2707,7 @@ ipcMain.on('add-excluded-app', async (event, appName) => {
     settings.excludedApps.push(appName);
     saveSettings();
     if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('settings-updated', settings);
+      mainWindow.webContents.send('settings-updated', getRendererSettings());
     }
   }
 });
@@ -767,22 +2716,23 @@ ipcMain.on('remove-excluded-app', async (event, appName) => {
   settings.excludedApps = settings.excludedApps.filter(app => app !== appName);
   saveSettings();
   if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('settings-updated', settings);
+    mainWindow.webContents.send('settings-updated', getRendererSettings());
   }
 });
 
 // AI Feature Handlers
 ipcMain.handle('smart-paste', async (event, text, options) => {
   try {
-    if (!settings.aiEnabled || (!settings.openaiApiKey && !settings.groqApiKey)) {
+    if (!settings.aiEnabled || (!secretStore.get('openaiApiKey') && !secretStore.get('groqApiKey'))) {
       throw new Error('AI features require OpenAI or Groq API key');
     }
-    if (settings.openaiApiKey) {
-      aiService.setOpenAIKey(settings.openaiApiKey);
+    if (secretStore.get('openaiApiKey')) {
+      aiService.setOpenAIKey(secretStore.get('openaiApiKey'));
     }
-    if (settings.groqApiKey) {
-      aiService.setGroqKey(settings.groqApiKey);
+    if (secretStore.get('groqApiKey')) {
+      aiService.setGroqKey(secretStore.get('groqApiKey'));
     }
+    assertNotSensitive(text);
     const result = await aiService.smartPaste(text, options);
     return { success: true, result };
   } catch (error) {
@@ -792,16 +2742,18 @@ ipcMain.handle('smart-paste', async (event, text, options) => {
 
 ipcMain.handle('semantic-search', async (event, query) => {
   try {
-    if (!settings.aiEnabled || (!settings.openaiApiKey && !settings.groqApiKey)) {
+    if (!settings.aiEnabled || (!secretStore.get('openaiApiKey') && !secretStore.get('groqApiKey'))) {
       throw new Error('AI features require OpenAI or Groq API key');
     }
-    if (settings.openaiApiKey) {
-      aiService.setOpenAIKey(settings.openaiApiKey);
+    if (secretStore.get('openaiApiKey')) {
+      aiService.setOpenAIKey(secretStore.get('openaiApiKey'));
     }
-    if (settings.groqApiKey) {
-      aiService.setGroqKey(settings.groqApiKey);
+    if (secretStore.get('groqApiKey')) {
+      aiService.setGroqKey(secretStore.get('groqApiKey'));
     }
-    const results = await aiService.semanticSearch(query, clipboardHistory, 10);
+    // Images and files have no text to search by meaning, secrets are never sent
+    const textItems = historyStore.all().filter(item => getItemType(item) === 'text' && !item.sensitive);
+    const results = await aiService.semanticSearch(query, textItems, 10);
     return { success: true, results };
   } catch (error) {
     return { success: false, error: error.message };
@@ -810,14 +2762,14 @@ ipcMain.handle('semantic-search', async (event, query) => {
 
 ipcMain.handle('generate-reply', async (event, messages, context) => {
   try {
-    if (!settings.aiEnabled || (!settings.openaiApiKey && !settings.groqApiKey)) {
+    if (!settings.aiEnabled || (!secretStore.get('openaiApiKey') && !secretStore.get('groqApiKey'))) {
       throw new Error('AI features require OpenAI or Groq API key');
     }
-    if (settings.openaiApiKey) {
-      aiService.setOpenAIKey(settings.openaiApiKey);
+    if (secretStore.get('openaiApiKey')) {
+      aiService.setOpenAIKey(secretStore.get('openaiApiKey'));
     }
-    if (settings.groqApiKey) {
-      aiService.setGroqKey(settings.groqApiKey);
+    if (secretStore.get('groqApiKey')) {
+      aiService.setGroqKey(secretStore.get('groqApiKey'));
     }
     const reply = await aiService.generateReply(messages, context);
     return { success: true, reply };
@@ -828,15 +2780,16 @@ ipcMain.handle('generate-reply', async (event, messages, context) => {
 
 ipcMain.handle('format-text', async (event, text, formatType) => {
   try {
-    if (!settings.aiEnabled || (!settings.openaiApiKey && !settings.groqApiKey)) {
+    if (!settings.aiEnabled || (!secretStore.get('openaiApiKey') && !secretStore.get('groqApiKey'))) {
       throw new Error('AI features require OpenAI or Groq API key');
     }
-    if (settings.openaiApiKey) {
-      aiService.setOpenAIKey(settings.openaiApiKey);
+    if (secretStore.get('openaiApiKey')) {
+      aiService.setOpenAIKey(secretStore.get('openaiApiKey'));
     }
-    if (settings.groqApiKey) {
-      aiService.setGroqKey(settings.groqApiKey);
+    if (secretStore.get('groqApiKey')) {
+      aiService.setGroqKey(secretStore.get('groqApiKey'));
     }
+    assertNotSensitive(text);
     const formatted = await aiService.formatText(text, formatType);
     return { success: true, formatted };
   } catch (error) {
@@ -846,14 +2799,17 @@ ipcMain.handle('format-text', async (event, text, formatType) => {
 
 ipcMain.handle('categorize-text', async (event, text) => {
   try {
-    if (!settings.aiEnabled || (!settings.openaiApiKey && !settings.groqApiKey)) {
+    if (!settings.aiEnabled || (!secretStore.get('openaiApiKey') && !secretStore.get('groqApiKey'))) {
       return { success: false, error: 'AI features require OpenAI or Groq API key' };
     }
-    if (settings.openaiApiKey) {
-      aiService.setOpenAIKey(settings.openaiApiKey);
+    if (secretStore.get('openaiApiKey')) {
+      aiService.setOpenAIKey(secretStore.get('openaiApiKey'));
     }
-    if (settings.groqApiKey) {
-      aiService.setGroqKey(settings.groqApiKey);
+    if (secretStore.get('groqApiKey')) {
+      aiService.setGroqKey(secretStore.get('groqApiKey'));
+    }
+    if (settings.sensitiveDetection && isSensitive(text)) {
+      return { success: true, category: 'password' };
     }
     const category = await aiService.categorizeText(text);
     return { success: true, category };
@@ -867,11 +2823,11 @@ function startChatAssistant() {
   if (!settings.chatAssistantEnabled || !settings.aiEnabled) return;
   
   // Initialize AI service for chat assistant
-  if (settings.groqApiKey) {
-    aiService.setGroqKey(settings.groqApiKey);
+  if (secretStore.get('groqApiKey')) {
+    aiService.setGroqKey(secretStore.get('groqApiKey'));
   }
-  if (settings.openaiApiKey) {
-    aiService.setOpenAIKey(settings.openaiApiKey);
+  if (secretStore.get('openaiApiKey')) {
+    aiService.setOpenAIKey(secretStore.get('openaiApiKey'));
   }
   
   // Set AI service in chat assistant
@@ -906,7 +2862,7 @@ ipcMain.on('chat-assistant-toggle', async (event, enabled) => {
   }
   
   if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('settings-updated', settings);
+    mainWindow.webContents.send('settings-updated', getRendererSettings());
   }
 });
 
@@ -917,7 +2873,7 @@ ipcMain.on('add-watched-app', async (event, appName) => {
     saveSettings();
   }
   if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('settings-updated', settings);
+    mainWindow.webContents.send('settings-updated', getRendererSettings());
   }
 });
 
@@ -926,7 +2882,7 @@ ipcMain.on('remove-watched-app', async (event, appName) => {
   settings.watchedApps = settings.watchedApps.filter(app => app !== appName);
   saveSettings();
   if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('settings-updated', settings);
+    mainWindow.webContents.send('settings-updated', getRendererSettings());
   }
 });
 
@@ -934,6 +2890,56 @@ ipcMain.on('get-watched-apps', (event) => {
   event.returnValue = chatAssistant.getWatchedApps();
 });
 
+// Snippet library handlers
+ipcMain.on('get-snippets', (event) => {
+  event.returnValue = snippetStore.all();
+});
+
+ipcMain.handle('save-snippet', async (event, snippet) => {
+  try {
+    if (!snippet.name || !snippet.name.trim() || !snippet.body) {
+      throw new Error('Snippets need a name and some text');
+    }
+    const saved = snippetStore.save({ id: snippet.id, name: snippet.name.trim(), body: snippet.body });
+    notifySnippetsUpdated();
+    return { success: true, snippet: saved };
+  } catch (error) {
+    logger.error('Error saving snippet', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-snippet', async (event, snippetId) => {
+  try {
+    snippetStore.remove(snippetId);
+    notifySnippetsUpdated();
+    return { success: true };
+  } catch (error) {
+    logger.error('Error deleting snippet', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-snippet-fields', (event, snippetId) => {
+  const snippet = snippetStore.get(snippetId);
+  return snippet ? getTemplateFields(snippet.body) : [];
+});
+
+// Expand a snippet (values holds the {{input:...}} fields) and paste it
+ipcMain.on('paste-snippet', async (event, snippetId, values = {}) => {
+  const snippet = snippetStore.get(snippetId);
+  if (!snippet) {
+    logger.warn('Paste requested for unknown snippet', { snippetId });
+    return;
+  }
+  
+  const { text, cursorOffset } = expandTemplate(snippet.body, {
+    clipboardText: clipboard.readText(),
+    values
+  });
+  await pasteIntoActiveApp({ type: 'text', text }, { cursorOffset });
+});
+
 // Log viewer IPC handlers
 ipcMain.handle('get-logs', async (event, lines = 500, errorOnly = false) => {
   try {
@@ -1008,6 +3014,6 @@ ipcMain.on('toggle-auto-send', async (event, enabled) => {
   settings.autoSendReplies = enabled;
   saveSettings();
   if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('settings-updated', settings);
+    mainWindow.webContents.send('settings-updated', getRendererSettings());
   }
 });
@@ -6,33 +6,89 @@ let filteredHistory = [];
 let selectedIndex = -1;
 let isMonitoring = true;
 let isPrivateMode = false;
+let privateModeDetail = ''; // e.g. "resumes in 12 min"
 let settings = {
   encryptionEnabled: true,
   inMemoryOnly: false,
   excludedApps: [],
   aiEnabled: false,
-  openaiApiKey: '',
-  groqApiKey: '',
+  hasOpenaiKey: false,
+  hasGroqKey: false,
   autoCategorize: false,
   chatAssistantEnabled: false,
   watchedApps: [],
   autoSendReplies: false,
-  retentionDays: 0
+  retentionDays: 0,
+  maxHistoryItems: 10000,
+  maxStorageMB: 0,
+  categoryRetention: {},
+  captureRules: [],
+  privateShortcutMinutes: 15,
+  privateSchedules: [],
+  sensitiveDetection: true,
+  sensitiveLifetimeMinutes: 10,
+  secureClipboardSeconds: 30,
+  secureClipboardRestore: true,
+  primarySelectionCapture: false,
+  mergeSeparator: '\n'
 };
 let isAiSearchMode = false;
 let chatLog = [];
+let snippets = [];
+let pasteQueue = { ids: [], collectMode: false, shortcut: '' };
+let editingSnippetId = null;
+let pendingSnippetId = null;
+let hasMasterPassword = false;
+let pendingImportPath = null; // encrypted archive waiting for its password
+let syncStatus = null;
+let lanStatus = null;
+// Multi-selected item ids, in the order they were selected (also the merge order)
+let selectedIds = new Set();
+let revealedIds = new Set(); // detected secrets the user chose to show
+let lastClickedId = null; // anchor for Shift-click range selection
+
+// The PRIMARY selection (highlighted text) only exists on Linux
+const IS_LINUX = process.platform === 'linux';
+
+const MERGE_SEPARATORS = {
+  newline: '\n',
+  blank: '\n\n',
+  space: ' ',
+  comma: ', ',
+  tab: '\t'
+};
+
+// History can hold tens of thousands of items, only render the top of the list
+const MAX_RENDERED_ITEMS = 200;
+const SENSITIVE_LABELS = {
+  'private-key': 'Private key',
+  'aws-key': 'AWS access key',
+  'aws-secret': 'AWS secret key',
+  'jwt': 'JWT',
+  'api-token': 'API token',
+  'password': 'Password',
+  'credit-card': 'Card number'
+};
 
 // Load history on startup
 window.addEventListener('DOMContentLoaded', () => {
   history = ipcRenderer.sendSync('get-history');
-  filteredHistory = history;
+  updateSourceAppFilter();
+  filterHistory();
   isMonitoring = ipcRenderer.sendSync('get-monitoring-status');
-  isPrivateMode = ipcRenderer.sendSync('get-private-mode-status');
+  const privateStatus = ipcRenderer.sendSync('get-private-mode-status');
+  isPrivateMode = privateStatus.isPrivateMode;
+  privateModeDetail = privateStatus.detail;
   settings = ipcRenderer.sendSync('get-settings');
+  snippets = ipcRenderer.sendSync('get-snippets');
+  pasteQueue = ipcRenderer.sendSync('get-paste-queue');
+  hasMasterPassword = ipcRenderer.sendSync('get-master-password-status');
   
   updateMonitoringUI();
   updatePrivateModeUI();
   updateSettingsUI();
+  updateQueueUI();
+  updateBulkUI();
   renderHistory();
   
   // Focus search input
@@ -42,17 +98,43 @@ window.addEventListener('DOMContentLoaded', () => {
 // Listen for updates
 ipcRenderer.on('history-updated', (event, newHistory) => {
   history = newHistory;
+  pruneSelection();
+  updateSourceAppFilter();
+  filterHistory();
+  renderHistory();
+});
+
+// Incremental update: items added or changed, and ids removed
+ipcRenderer.on('history-changed', (event, { upserted, removed }) => {
+  applyHistoryChanges(upserted, removed);
+  pruneSelection();
+  updateSourceAppFilter();
   filterHistory();
   renderHistory();
 });
 
+// Apply a delta from the main process, keeping history newest first
+function applyHistoryChanges(upserted, removed) {
+  const changedIds = new Set(removed.concat(upserted.map(item => item.id)));
+  history = history.filter(item => !changedIds.has(item.id));
+  upserted.forEach(item => {
+    const position = history.findIndex(existing => existing.timestamp <= item.timestamp);
+    if (position === -1) {
+      history.push(item);
+    } else {
+      history.splice(position, 0, item);
+    }
+  });
+}
+
 ipcRenderer.on('monitoring-status', (event, status) => {
   isMonitoring = status;
   updateMonitoringUI();
 });
 
-ipcRenderer.on('private-mode-status', (event, status) => {
+ipcRenderer.on('private-mode-status', (event, status, detail) => {
   isPrivateMode = status;
+  privateModeDetail = detail || '';
   updatePrivateModeUI();
 });
 
@@ -61,6 +143,54 @@ ipcRenderer.on('settings-updated', (event, newSettings) => {
   updateSettingsUI();
 });
 
+ipcRenderer.on('paste-queue-updated', (event, queue) => {
+  pasteQueue = queue;
+  updateQueueUI();
+  renderHistory();
+});
+
+// Main asks for the restore picker when the history could not be read
+ipcRenderer.on('show-backup-picker', () => {
+  openPanel('settingsPanel');
+  loadHistoryBackups();
+  document.getElementById('historyBackupsSection').scrollIntoView({ block: 'center' });
+});
+
+// Tray menu: export an encrypted archive, or enter the password for an archive being imported
+ipcRenderer.on('show-export-import', (event, { importPath } = {}) => {
+  openPanel('settingsPanel');
+  if (importPath) {
+    setPendingImport(importPath);
+  } else {
+    document.getElementById('exportFormatSelect').value = 'archive';
+    updateArchivePasswordUI();
+  }
+  document.getElementById('exportImportSection').scrollIntoView({ block: 'center' });
+  document.getElementById('archivePasswordInput').focus();
+});
+
+ipcRenderer.on('sync-status', (event, status) => {
+  syncStatus = status;
+  updateSyncUI();
+});
+
+ipcRenderer.on('lan-status', (event, status) => {
+  lanStatus = status;
+  updateLanUI();
+});
+
+// Revealed secrets are masked again once the window loses focus (it hides then)
+window.addEventListener('blur', () => {
+  if (revealedIds.size === 0) return;
+  revealedIds.clear();
+  renderHistory();
+});
+
+ipcRenderer.on('snippets-updated', (event, newSnippets) => {
+  snippets = newSnippets;
+  renderSnippets();
+});
+
 // Close button
 document.getElementById('closeBtn').addEventListener('click', () => {
   ipcRenderer.send('close-window');
@@ -71,7 +201,9 @@ function closeAllPanels() {
   document.getElementById('settingsPanel').style.display = 'none';
   document.getElementById('aiPanel').style.display = 'none';
   document.getElementById('logsPanel').style.display = 'none';
+  document.getElementById('snippetsPanel').style.display = 'none';
   document.getElementById('aiBtn').classList.remove('active');
+  document.getElementById('snippetsBtn').classList.remove('active');
   document.getElementById('aiSearchBtn').classList.remove('active');
   isAiSearchMode = false;
 }
@@ -368,6 +500,176 @@ loadLogs = async function() {
   return result;
 };
 
+// Snippets button
+document.getElementById('snippetsBtn').addEventListener('click', () => {
+  const panel = document.getElementById('snippetsPanel');
+  const isVisible = panel.style.display !== 'none';
+  
+  if (isVisible) {
+    closeAllPanels();
+  } else {
+    openPanel('snippetsPanel', 'snippetsBtn');
+    closeSnippetForms();
+    renderSnippets();
+  }
+});
+
+document.getElementById('closeSnippetsBtn').addEventListener('click', () => {
+  closeAllPanels();
+});
+
+function renderSnippets() {
+  const list = document.getElementById('snippetList');
+  if (snippets.length === 0) {
+    list.innerHTML = '<div style="color: #888; text-align: center; padding: 12px;">No snippets yet</div>';
+    return;
+  }
+  
+  list.innerHTML = snippets.map(snippet => `
+    <div class="snippet-entry" data-id="${snippet.id}">
+      <div class="snippet-info">
+        <div class="snippet-name">${escapeHtml(snippet.name)}</div>
+        <div class="snippet-preview">${escapeHtml(snippet.body.substring(0, 80))}</div>
+      </div>
+      <button class="insert-snippet-btn" data-id="${snippet.id}">Insert</button>
+      <button class="edit-snippet-btn" data-id="${snippet.id}">Edit</button>
+      <button class="delete-snippet-btn" data-id="${snippet.id}">×</button>
+    </div>
+  `).join('');
+  
+  list.querySelectorAll('.insert-snippet-btn').forEach(btn => {
+    btn.addEventListener('click', () => insertSnippet(btn.dataset.id));
+  });
+  
+  list.querySelectorAll('.edit-snippet-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const snippet = snippets.find(s => s.id === btn.dataset.id);
+      if (snippet) openSnippetEditor(snippet);
+    });
+  });
+  
+  list.querySelectorAll('.delete-snippet-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (!confirm('Delete this snippet?')) return;
+      const result = await ipcRenderer.invoke('delete-snippet', btn.dataset.id);
+      if (!result.success) {
+        alert('Error deleting snippet: ' + result.error);
+      }
+    });
+  });
+}
+
+function closeSnippetForms() {
+  document.getElementById('snippetEditor').style.display = 'none';
+  document.getElementById('snippetFields').style.display = 'none';
+  editingSnippetId = null;
+  pendingSnippetId = null;
+}
+
+function openSnippetEditor(snippet = null) {
+  closeSnippetForms();
+  editingSnippetId = snippet ? snippet.id : null;
+  document.getElementById('snippetNameInput').value = snippet ? snippet.name : '';
+  document.getElementById('snippetBodyInput').value = snippet ? snippet.body : '';
+  document.getElementById('snippetEditor').style.display = 'flex';
+  document.getElementById('snippetNameInput').focus();
+}
+
+document.getElementById('newSnippetBtn').addEventListener('click', () => {
+  openSnippetEditor();
+});
+
+document.getElementById('cancelSnippetBtn').addEventListener('click', () => {
+  closeSnippetForms();
+});
+
+document.getElementById('saveSnippetBtn').addEventListener('click', async () => {
+  const name = document.getElementById('snippetNameInput').value.trim();
+  const body = document.getElementById('snippetBodyInput').value;
+  if (!name || !body) {
+    alert('Please enter a name and text for the snippet');
+    return;
+  }
+  
+  const result = await ipcRenderer.invoke('save-snippet', { id: editingSnippetId, name, body });
+  if (result.success) {
+    closeSnippetForms();
+  } else {
+    alert('Error saving snippet: ' + result.error);
+  }
+});
+
+// Ask for {{input:...}} fields first, otherwise paste right away
+async function insertSnippet(snippetId) {
+  const fields = await ipcRenderer.invoke('get-snippet-fields', snippetId);
+  if (fields.length === 0) {
+    ipcRenderer.send('paste-snippet', snippetId, {});
+    return;
+  }
+  
+  closeSnippetForms();
+  pendingSnippetId = snippetId;
+  const snippet = snippets.find(s => s.id === snippetId);
+  document.getElementById('snippetFieldsTitle').textContent = `Fill in "${snippet ? snippet.name : 'snippet'}":`;
+  document.getElementById('snippetFieldInputs').innerHTML = fields.map(field => `
+    <input type="text" class="snippet-field-input" data-field="${escapeHtml(field)}" placeholder="${escapeHtml(field)}">
+  `).join('');
+  document.getElementById('snippetFields').style.display = 'flex';
+  
+  const firstInput = document.querySelector('.snippet-field-input');
+  if (firstInput) firstInput.focus();
+}
+
+document.getElementById('insertSnippetBtn').addEventListener('click', () => {
+  if (!pendingSnippetId) return;
+  const values = {};
+  document.querySelectorAll('.snippet-field-input').forEach(input => {
+    values[input.dataset.field] = input.value;
+  });
+  ipcRenderer.send('paste-snippet', pendingSnippetId, values);
+  closeSnippetForms();
+});
+
+document.getElementById('snippetFieldInputs').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    e.stopPropagation();
+    document.getElementById('insertSnippetBtn').click();
+  }
+});
+
+document.getElementById('cancelFieldsBtn').addEventListener('click', () => {
+  closeSnippetForms();
+});
+
+// Collect mode button
+document.getElementById('collectBtn').addEventListener('click', () => {
+  ipcRenderer.send('toggle-collect-mode');
+});
+
+document.getElementById('clearQueueBtn').addEventListener('click', () => {
+  ipcRenderer.send('clear-paste-queue');
+});
+
+function updateQueueUI() {
+  const collectBtn = document.getElementById('collectBtn');
+  collectBtn.classList.toggle('active', pasteQueue.collectMode);
+  collectBtn.title = pasteQueue.collectMode
+    ? 'Exit collect mode'
+    : 'Collect mode: click items to queue them';
+  
+  const bar = document.getElementById('queueBar');
+  const count = pasteQueue.ids.length;
+  bar.style.display = (pasteQueue.collectMode || count > 0) ? 'flex' : 'none';
+  
+  const shortcut = pasteQueue.shortcut.replace('CommandOrControl', process.platform === 'darwin' ? 'Cmd' : 'Ctrl');
+  if (count === 0) {
+    document.getElementById('queueStatus').textContent = 'Collect mode: click items to add them to the paste queue';
+  } else {
+    document.getElementById('queueStatus').textContent = `Paste queue: ${count} item${count === 1 ? '' : 's'} • ${shortcut} pastes the next one`;
+  }
+}
+
 // Toggle monitoring button
 document.getElementById('toggleBtn').addEventListener('click', () => {
   ipcRenderer.send('toggle-monitoring');
@@ -388,6 +690,11 @@ document.getElementById('settingsBtn').addEventListener('click', () => {
     closeAllPanels();
   } else {
     openPanel('settingsPanel');
+    loadHistoryBackups();
+    syncStatus = ipcRenderer.sendSync('get-sync-status');
+    updateSyncUI();
+    lanStatus = ipcRenderer.sendSync('get-lan-status');
+    updateLanUI();
   }
 });
 
@@ -400,10 +707,22 @@ function updateSettingsUI() {
   document.getElementById('encryptionToggle').checked = settings.encryptionEnabled;
   document.getElementById('inMemoryToggle').checked = settings.inMemoryOnly;
   document.getElementById('aiEnabledToggle').checked = settings.aiEnabled || false;
-  document.getElementById('openaiApiKeyInput').value = settings.openaiApiKey || '';
-  document.getElementById('groqApiKeyInput').value = settings.groqApiKey || '';
+  // API keys never reach the window, only whether they are set
+  document.getElementById('openaiApiKeyInput').placeholder = settings.hasOpenaiKey ? 'Saved - enter a new key to replace it' : 'sk-...';
+  document.getElementById('groqApiKeyInput').placeholder = settings.hasGroqKey ? 'Saved - enter a new key to replace it' : 'gsk_...';
+  document.getElementById('removeOpenaiApiKeyBtn').style.display = settings.hasOpenaiKey ? 'inline-block' : 'none';
+  document.getElementById('removeGroqApiKeyBtn').style.display = settings.hasGroqKey ? 'inline-block' : 'none';
   document.getElementById('autoCategorizeToggle').checked = settings.autoCategorize || false;
   document.getElementById('retentionDaysSelect').value = settings.retentionDays || 0;
+  document.getElementById('maxHistoryItemsInput').value = settings.maxHistoryItems || 10000;
+  document.getElementById('maxStorageMBInput').value = settings.maxStorageMB || 0;
+  document.getElementById('sensitiveDetectionToggle').checked = settings.sensitiveDetection !== false;
+  document.getElementById('sensitiveLifetimeSelect').value = settings.sensitiveLifetimeMinutes || 0;
+  document.getElementById('sensitiveLifetimeSelect').disabled = settings.sensitiveDetection === false;
+  document.getElementById('secureClipboardSecondsSelect').value = settings.secureClipboardSeconds || 30;
+  document.getElementById('secureClipboardRestoreSelect').value = settings.secureClipboardRestore === false ? 'clear' : 'restore';
+  document.getElementById('primarySelectionSection').style.display = IS_LINUX ? 'flex' : 'none';
+  document.getElementById('primarySelectionToggle').checked = settings.primarySelectionCapture || false;
   
   // Chat Assistant settings
   document.getElementById('chatAssistantToggle').checked = settings.chatAssistantEnabled || false;
@@ -416,8 +735,90 @@ function updateSettingsUI() {
   
   updateExcludedAppsList();
   updateWatchedAppsList();
+  updateCategoryRetentionList();
+  updateCaptureRulesList();
+  updatePrivateSchedulesList();
+  document.getElementById('privateShortcutMinutesSelect').value = settings.privateShortcutMinutes || 15;
+  updateMergeSeparatorUI();
+  updateMasterPasswordUI();
 }
 
+// Master password
+function updateMasterPasswordUI() {
+  document.getElementById('masterPasswordStatus').textContent = hasMasterPassword
+    ? 'Set - required at startup to unlock your history'
+    : 'Not set - the encryption key is stored unprotected next to your history';
+  document.getElementById('currentMasterPasswordInput').style.display = hasMasterPassword ? 'block' : 'none';
+  document.getElementById('removeMasterPasswordBtn').style.display = hasMasterPassword ? 'inline-block' : 'none';
+  document.getElementById('setMasterPasswordBtn').textContent = hasMasterPassword ? 'Change Password' : 'Set Password';
+}
+
+function clearMasterPasswordInputs() {
+  ['currentMasterPasswordInput', 'newMasterPasswordInput', 'confirmMasterPasswordInput'].forEach(id => {
+    document.getElementById(id).value = '';
+  });
+}
+
+document.getElementById('setMasterPasswordBtn').addEventListener('click', async () => {
+  const currentPassword = document.getElementById('currentMasterPasswordInput').value;
+  const newPassword = document.getElementById('newMasterPasswordInput').value;
+  const confirmPassword = document.getElementById('confirmMasterPasswordInput').value;
+  
+  if (newPassword.length < 8) {
+    alert('The master password must be at least 8 characters');
+    return;
+  }
+  if (newPassword !== confirmPassword) {
+    alert('The new passwords do not match');
+    return;
+  }
+  
+  const result = await ipcRenderer.invoke('set-master-password', { currentPassword, newPassword });
+  if (result.success) {
+    hasMasterPassword = true;
+    clearMasterPasswordInputs();
+    updateMasterPasswordUI();
+    alert('Master password saved');
+  } else {
+    alert('Error setting master password: ' + result.error);
+  }
+});
+
+// Rotate the encryption key (needs the master password, if one is set)
+document.getElementById('rotateKeyBtn').addEventListener('click', async () => {
+  const password = document.getElementById('currentMasterPasswordInput').value;
+  if (hasMasterPassword && !password) {
+    alert('Enter your current master password to rotate the key');
+    return;
+  }
+  if (!confirm('Generate a new encryption key and re-encrypt your history and snippets?')) return;
+  
+  const button = document.getElementById('rotateKeyBtn');
+  button.disabled = true;
+  const result = await ipcRenderer.invoke('rotate-encryption-key', password);
+  button.disabled = false;
+  if (result.success) {
+    clearMasterPasswordInputs();
+    alert('Encryption key rotated');
+  } else {
+    alert('Error rotating encryption key: ' + result.error);
+  }
+});
+
+document.getElementById('removeMasterPasswordBtn').addEventListener('click', async () => {
+  if (!confirm('Remove the master password? The encryption key will be stored unprotected.')) return;
+  
+  const currentPassword = document.getElementById('currentMasterPasswordInput').value;
+  const result = await ipcRenderer.invoke('remove-master-password', currentPassword);
+  if (result.success) {
+    hasMasterPassword = false;
+    clearMasterPasswordInputs();
+    updateMasterPasswordUI();
+  } else {
+    alert('Error removing master password: ' + result.error);
+  }
+});
+
 // Encryption toggle
 document.getElementById('encryptionToggle').addEventListener('change', (e) => {
   ipcRenderer.send('update-settings', { encryptionEnabled: e.target.checked });
@@ -434,6 +835,468 @@ document.getElementById('retentionDaysSelect').addEventListener('change', (e) =>
   ipcRenderer.send('update-settings', { retentionDays });
 });
 
+// History size limits
+document.getElementById('maxHistoryItemsInput').addEventListener('change', (e) => {
+  const maxHistoryItems = Math.min(Math.max(parseInt(e.target.value) || 1, 1), 100000);
+  ipcRenderer.send('update-settings', { maxHistoryItems });
+});
+
+document.getElementById('maxStorageMBInput').addEventListener('change', (e) => {
+  const maxStorageMB = Math.max(parseFloat(e.target.value) || 0, 0);
+  ipcRenderer.send('update-settings', { maxStorageMB });
+});
+
+// Export / import
+function updateArchivePasswordUI() {
+  const needsPassword = pendingImportPath || document.getElementById('exportFormatSelect').value === 'archive';
+  document.getElementById('archivePasswordInput').style.display = needsPassword ? 'block' : 'none';
+  // The encrypted archive always keeps detected secrets
+  const isArchive = document.getElementById('exportFormatSelect').value === 'archive';
+  document.getElementById('exportSensitiveOption').style.display = isArchive ? 'none' : 'block';
+}
+
+function setPendingImport(filePath) {
+  pendingImportPath = filePath;
+  const fileName = filePath ? filePath.split(/[\\/]/).pop() : '';
+  document.getElementById('exportImportStatus').textContent = filePath
+    ? `Enter the password for ${fileName}, then click Import`
+    : 'Import merges JSON, CSV and archive exports into your history (items already there are skipped)';
+  updateArchivePasswordUI();
+}
+
+document.getElementById('exportFormatSelect').addEventListener('change', () => {
+  updateArchivePasswordUI();
+});
+
+document.getElementById('exportHistoryBtn').addEventListener('click', async () => {
+  const format = document.getElementById('exportFormatSelect').value;
+  const password = document.getElementById('archivePasswordInput').value;
+  if (format === 'archive' && password.length < 8) {
+    alert('Choose an archive password of at least 8 characters');
+    return;
+  }
+  
+  const filter = {
+    category: document.getElementById('exportCategorySelect').value,
+    sinceDays: parseInt(document.getElementById('exportPeriodSelect').value)
+  };
+  const includeSensitive = document.getElementById('exportSensitiveToggle').checked;
+  if (includeSensitive && format !== 'archive' &&
+      !confirm('Detected secrets will be written to the file in clear text. Export anyway?')) {
+    return;
+  }
+  const result = await ipcRenderer.invoke('export-history', { format, filter, password, includeSensitive });
+  if (result.success) {
+    document.getElementById('archivePasswordInput').value = '';
+    document.getElementById('exportSensitiveToggle').checked = false;
+    document.getElementById('exportImportStatus').textContent = result.leftOut > 0
+      ? `Exported ${result.count} items (${result.leftOut} detected secret${result.leftOut === 1 ? '' : 's'} left out)`
+      : `Exported ${result.count} items`;
+  } else if (!result.canceled) {
+    alert('Export failed: ' + result.error);
+  }
+});
+
+document.getElementById('importHistoryBtn').addEventListener('click', async () => {
+  const password = document.getElementById('archivePasswordInput').value;
+  const result = await ipcRenderer.invoke('import-history', { filePath: pendingImportPath, password });
+  if (result.needsPassword) {
+    setPendingImport(result.filePath);
+    document.getElementById('archivePasswordInput').focus();
+    return;
+  }
+  if (result.success) {
+    document.getElementById('archivePasswordInput').value = '';
+    setPendingImport(null);
+    document.getElementById('exportImportStatus').textContent =
+      `Imported ${result.imported} items (${result.skipped} skipped)`;
+  } else if (!result.canceled) {
+    alert('Import failed: ' + result.error);
+  }
+});
+
+// History backups
+async function loadHistoryBackups() {
+  const select = document.getElementById('historyBackupSelect');
+  const result = await ipcRenderer.invoke('get-history-backups');
+  const backups = result.success ? result.backups : [];
+  
+  if (backups.length === 0) {
+    select.innerHTML = '<option value="">No backups yet</option>';
+  } else {
+    select.innerHTML = backups.map(backup => {
+      const date = new Date(backup.createdAt).toLocaleString();
+      const details = backup.readable ? `${backup.count} items` : 'unreadable';
+      return `<option value="${escapeHtml(backup.name)}">${date} (${details}, ${formatFileSize(backup.size)})</option>`;
+    }).join('');
+  }
+  document.getElementById('restoreBackupBtn').disabled = backups.length === 0;
+}
+
+document.getElementById('restoreBackupBtn').addEventListener('click', async () => {
+  const name = document.getElementById('historyBackupSelect').value;
+  if (!name) return;
+  if (!confirm('Replace your current history with this backup? A copy of the current history is kept.')) return;
+  
+  const result = await ipcRenderer.invoke('restore-history-backup', name);
+  if (result.success) {
+    alert(`Restored ${result.count} items from backup`);
+    loadHistoryBackups();
+  } else {
+    alert('Error restoring backup: ' + result.error);
+  }
+});
+
+// Folder sync
+function updateSyncUI() {
+  if (!syncStatus) return;
+  const folderInput = document.getElementById('syncFolderInput');
+  if (syncStatus.enabled || !folderInput.value) {
+    folderInput.value = syncStatus.folder || '';
+  }
+  document.getElementById('syncPassphraseInput').style.display = syncStatus.enabled ? 'none' : 'block';
+  document.getElementById('enableSyncBtn').style.display = syncStatus.enabled ? 'none' : '';
+  document.getElementById('syncNowBtn').style.display = syncStatus.enabled ? '' : 'none';
+  document.getElementById('disableSyncBtn').style.display = syncStatus.enabled ? '' : 'none';
+  
+  const status = document.getElementById('syncStatus');
+  if (!syncStatus.enabled) {
+    status.textContent = 'Keep history in sync through a shared folder (e.g. Syncthing or Dropbox). Everything written there is end-to-end encrypted with the passphrase.';
+    return;
+  }
+  const otherDevices = syncStatus.devices.filter(device => !device.isThisDevice).length;
+  const lastSync = syncStatus.lastSync ? new Date(syncStatus.lastSync).toLocaleTimeString() : 'never';
+  status.textContent = `This device: ${syncStatus.deviceId} · ${otherDevices} other device${otherDevices === 1 ? '' : 's'} · last sync ${lastSync}` +
+    (syncStatus.error ? ` · ${syncStatus.error}` : '');
+}
+
+document.getElementById('chooseSyncFolderBtn').addEventListener('click', async () => {
+  const folder = await ipcRenderer.invoke('choose-sync-folder');
+  if (!folder) return;
+  if (syncStatus && syncStatus.enabled && folder !== syncStatus.folder) {
+    alert('Disable sync before switching to another folder');
+    return;
+  }
+  document.getElementById('syncFolderInput').value = folder;
+});
+
+document.getElementById('enableSyncBtn').addEventListener('click', async () => {
+  const folder = document.getElementById('syncFolderInput').value;
+  const passphrase = document.getElementById('syncPassphraseInput').value;
+  if (!folder) {
+    alert('Choose a sync folder first');
+    return;
+  }
+  if (passphrase.length < 8) {
+    alert('The sync passphrase must be at least 8 characters');
+    return;
+  }
+  
+  const button = document.getElementById('enableSyncBtn');
+  button.disabled = true;
+  const result = await ipcRenderer.invoke('enable-sync', { folder, passphrase });
+  button.disabled = false;
+  if (result.success) {
+    document.getElementById('syncPassphraseInput').value = '';
+    syncStatus = result.status;
+    updateSyncUI();
+  } else {
+    alert('Error enabling sync: ' + result.error);
+  }
+});
+
+document.getElementById('syncNowBtn').addEventListener('click', async () => {
+  syncStatus = await ipcRenderer.invoke('sync-now');
+  updateSyncUI();
+});
+
+document.getElementById('disableSyncBtn').addEventListener('click', async () => {
+  if (!confirm('Stop syncing this device? The sync folder and other devices are not changed.')) return;
+  const result = await ipcRenderer.invoke('disable-sync');
+  if (result.success) {
+    syncStatus = result.status;
+    updateSyncUI();
+  } else {
+    alert('Error disabling sync: ' + result.error);
+  }
+});
+
+// LAN sharing
+function updateLanUI() {
+  if (!lanStatus) return;
+  document.getElementById('lanSharingToggle').checked = lanStatus.enabled;
+  document.getElementById('lanSharingSettings').style.display = lanStatus.enabled ? 'block' : 'none';
+  const nameInput = document.getElementById('deviceNameInput');
+  if (document.activeElement !== nameInput) {
+    nameInput.value = lanStatus.device.name;
+  }
+  const portInput = document.getElementById('lanSharingPortInput');
+  if (document.activeElement !== portInput) {
+    portInput.value = lanStatus.port;
+  }
+  
+  const status = document.getElementById('lanStatus');
+  if (lanStatus.error) {
+    status.textContent = lanStatus.error;
+  } else if (lanStatus.running) {
+    const addresses = lanStatus.addresses.length > 0 ? lanStatus.addresses.join(', ') : `port ${lanStatus.port}`;
+    status.textContent = `Listening on ${addresses}`;
+  } else {
+    status.textContent = '';
+  }
+  
+  document.getElementById('lanPairingCode').textContent = lanStatus.pairing
+    ? `${lanStatus.pairing.code} (enter it on the other device)`
+    : '';
+  
+  const list = document.getElementById('lanPeersList');
+  list.innerHTML = lanStatus.peers.map(peer => `
+    <div class="excluded-app-tag" title="${escapeHtml(`${peer.host}:${peer.port}`)}">
+      <span>${escapeHtml(peer.name)}</span>
+      <button class="remove-peer" data-peer="${escapeHtml(peer.id)}">×</button>
+    </div>
+  `).join('');
+  list.querySelectorAll('.remove-peer').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (!confirm('Unpair this device? It will stop receiving your copies.')) return;
+      ipcRenderer.send('remove-lan-peer', btn.dataset.peer);
+    });
+  });
+}
+
+document.getElementById('lanSharingToggle').addEventListener('change', (e) => {
+  ipcRenderer.send('update-settings', { lanSharingEnabled: e.target.checked });
+});
+
+document.getElementById('deviceNameInput').addEventListener('change', (e) => {
+  ipcRenderer.send('update-settings', { deviceName: e.target.value.trim() });
+});
+
+document.getElementById('lanSharingPortInput').addEventListener('change', (e) => {
+  const port = parseInt(e.target.value);
+  if (!(port >= 1024 && port <= 65535)) {
+    alert('Choose a port between 1024 and 65535');
+    return;
+  }
+  ipcRenderer.send('update-settings', { lanSharingPort: port });
+});
+
+document.getElementById('beginLanPairingBtn').addEventListener('click', async () => {
+  const result = await ipcRenderer.invoke('begin-lan-pairing');
+  if (result.success) {
+    lanStatus = { ...lanStatus, pairing: result.pairing };
+    updateLanUI();
+  } else {
+    alert('Error starting pairing: ' + result.error);
+  }
+});
+
+document.getElementById('pairLanDeviceBtn').addEventListener('click', async () => {
+  const address = document.getElementById('lanPairAddressInput').value.trim();
+  const code = document.getElementById('lanPairCodeInput').value.trim();
+  if (!address || !code) {
+    alert('Enter the address and the code shown on the other device');
+    return;
+  }
+  
+  const button = document.getElementById('pairLanDeviceBtn');
+  button.disabled = true;
+  const result = await ipcRenderer.invoke('pair-lan-device', { address, code });
+  button.disabled = false;
+  if (result.success) {
+    document.getElementById('lanPairAddressInput').value = '';
+    document.getElementById('lanPairCodeInput').value = '';
+    alert(`Paired with ${result.peer.name}`);
+  } else {
+    alert('Pairing failed: ' + result.error);
+  }
+});
+
+// Secret detection
+document.getElementById('sensitiveDetectionToggle').addEventListener('change', (e) => {
+  ipcRenderer.send('update-settings', { sensitiveDetection: e.target.checked });
+});
+
+document.getElementById('sensitiveLifetimeSelect').addEventListener('change', (e) => {
+  ipcRenderer.send('update-settings', { sensitiveLifetimeMinutes: parseInt(e.target.value) });
+});
+
+// Secure paste
+document.getElementById('secureClipboardSecondsSelect').addEventListener('change', (e) => {
+  ipcRenderer.send('update-settings', { secureClipboardSeconds: parseInt(e.target.value) });
+});
+
+document.getElementById('secureClipboardRestoreSelect').addEventListener('change', (e) => {
+  ipcRenderer.send('update-settings', { secureClipboardRestore: e.target.value === 'restore' });
+});
+
+document.getElementById('primarySelectionToggle').addEventListener('change', (e) => {
+  ipcRenderer.send('update-settings', { primarySelectionCapture: e.target.checked });
+});
+
+// Per-category retention
+document.getElementById('addCategoryRetentionBtn').addEventListener('click', () => {
+  const category = document.getElementById('retentionCategorySelect').value;
+  const minutes = parseInt(document.getElementById('retentionMinutesSelect').value);
+  const categoryRetention = { ...(settings.categoryRetention || {}), [category]: minutes };
+  ipcRenderer.send('update-settings', { categoryRetention });
+});
+
+function formatRetention(minutes) {
+  if (!minutes) return 'forever';
+  if (minutes < 60) return `${minutes} min`;
+  if (minutes < 1440) return `${minutes / 60} h`;
+  return `${minutes / 1440} d`;
+}
+
+function updateCategoryRetentionList() {
+  const list = document.getElementById('categoryRetentionList');
+  const entries = Object.entries(settings.categoryRetention || {});
+  list.innerHTML = entries.map(([category, minutes]) => `
+    <div class="excluded-app-tag">
+      <span>${escapeHtml(category)}: ${formatRetention(minutes)}</span>
+      <button class="remove-retention" data-category="${escapeHtml(category)}">×</button>
+    </div>
+  `).join('');
+  
+  list.querySelectorAll('.remove-retention').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const categoryRetention = { ...(settings.categoryRetention || {}) };
+      delete categoryRetention[btn.dataset.category];
+      ipcRenderer.send('update-settings', { categoryRetention });
+    });
+  });
+}
+
+// Capture rules (the whole list is validated and saved by the main process)
+async function saveCaptureRules(rules) {
+  const result = await ipcRenderer.invoke('save-capture-rules', rules);
+  if (!result.success) {
+    alert('Could not save the rule: ' + result.error);
+  }
+  return result.success;
+}
+
+function updateCaptureRulesList() {
+  const list = document.getElementById('captureRulesList');
+  const rules = settings.captureRules || [];
+  list.innerHTML = rules.map((rule, index) => `
+    <div class="capture-rule ${rule.enabled ? '' : 'disabled'}" data-index="${index}">
+      <input type="checkbox" class="toggle-rule" ${rule.enabled ? 'checked' : ''} title="Enabled">
+      <span class="capture-rule-summary">${escapeHtml(rule.summary || '')}</span>
+      ${index > 0 ? '<button class="move-rule-up" title="Check earlier">↑</button>' : ''}
+      <button class="remove-rule" title="Delete rule">×</button>
+    </div>
+  `).join('');
+  
+  list.querySelectorAll('.capture-rule').forEach(row => {
+    const index = parseInt(row.dataset.index);
+    row.querySelector('.toggle-rule').addEventListener('change', (e) => {
+      saveCaptureRules(rules.map((rule, i) => i === index ? { ...rule, enabled: e.target.checked } : rule));
+    });
+    const upBtn = row.querySelector('.move-rule-up');
+    if (upBtn) {
+      upBtn.addEventListener('click', () => {
+        const reordered = [...rules];
+        [reordered[index - 1], reordered[index]] = [reordered[index], reordered[index - 1]];
+        saveCaptureRules(reordered);
+      });
+    }
+    row.querySelector('.remove-rule').addEventListener('click', () => {
+      saveCaptureRules(rules.filter((rule, i) => i !== index));
+    });
+  });
+}
+
+document.getElementById('ruleActionSelect').addEventListener('change', (e) => {
+  const display = e.target.value === 'ttl' ? 'block' : 'none';
+  document.getElementById('ruleTtlInput').style.display = display;
+  document.getElementById('ruleTtlUnit').style.display = display;
+});
+
+document.getElementById('ruleDaysSelect').addEventListener('change', (e) => {
+  document.getElementById('ruleStartInput').disabled = e.target.value === '';
+  document.getElementById('ruleEndInput').disabled = e.target.value === '';
+});
+
+document.getElementById('addCaptureRuleBtn').addEventListener('click', async () => {
+  const days = document.getElementById('ruleDaysSelect').value;
+  const category = document.getElementById('ruleCategorySelect').value;
+  const rule = {
+    action: document.getElementById('ruleActionSelect').value,
+    ttlMinutes: document.getElementById('ruleTtlInput').value,
+    pattern: document.getElementById('rulePatternInput').value,
+    windowTitle: document.getElementById('ruleWindowTitleInput').value,
+    app: document.getElementById('ruleAppInput').value,
+    minLength: document.getElementById('ruleMinLengthInput').value,
+    maxLength: document.getElementById('ruleMaxLengthInput').value,
+    categories: category ? [category] : [],
+    timeWindow: days ? {
+      days: days === 'all' ? [] : days.split(',').map(day => parseInt(day)),
+      start: document.getElementById('ruleStartInput').value,
+      end: document.getElementById('ruleEndInput').value
+    } : null
+  };
+  
+  if (await saveCaptureRules([...(settings.captureRules || []), rule])) {
+    ['rulePatternInput', 'ruleWindowTitleInput', 'ruleAppInput', 'ruleMinLengthInput', 'ruleMaxLengthInput'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+    document.getElementById('ruleCategorySelect').value = '';
+  }
+});
+
+// Private mode shortcut and schedules
+document.getElementById('privateShortcutMinutesSelect').addEventListener('change', (e) => {
+  ipcRenderer.send('update-settings', { privateShortcutMinutes: parseInt(e.target.value) });
+});
+
+async function savePrivateSchedules(schedules) {
+  const result = await ipcRenderer.invoke('save-private-schedules', schedules);
+  if (!result.success) {
+    alert('Could not save the schedule: ' + result.error);
+  }
+  return result.success;
+}
+
+function updatePrivateSchedulesList() {
+  const list = document.getElementById('privateSchedulesList');
+  const schedules = settings.privateSchedules || [];
+  list.innerHTML = schedules.map((schedule, index) => `
+    <div class="capture-rule ${schedule.enabled ? '' : 'disabled'}" data-index="${index}">
+      <input type="checkbox" class="toggle-schedule" ${schedule.enabled ? 'checked' : ''} title="Enabled">
+      <span class="capture-rule-summary">${escapeHtml(schedule.name)}: ${escapeHtml(schedule.summary || '')}</span>
+      <button class="remove-rule" title="Delete schedule">×</button>
+    </div>
+  `).join('');
+  
+  list.querySelectorAll('.capture-rule').forEach(row => {
+    const index = parseInt(row.dataset.index);
+    row.querySelector('.toggle-schedule').addEventListener('change', (e) => {
+      savePrivateSchedules(schedules.map((schedule, i) => i === index ? { ...schedule, enabled: e.target.checked } : schedule));
+    });
+    row.querySelector('.remove-rule').addEventListener('click', () => {
+      savePrivateSchedules(schedules.filter((schedule, i) => i !== index));
+    });
+  });
+}
+
+document.getElementById('addPrivateScheduleBtn').addEventListener('click', async () => {
+  const days = document.getElementById('scheduleDaysSelect').value;
+  const schedule = {
+    name: document.getElementById('scheduleNameInput').value,
+    days: days === 'all' ? [] : days.split(',').map(day => parseInt(day)),
+    start: document.getElementById('scheduleStartInput').value,
+    end: document.getElementById('scheduleEndInput').value
+  };
+  
+  if (await savePrivateSchedules([...(settings.privateSchedules || []), schedule])) {
+    document.getElementById('scheduleNameInput').value = '';
+  }
+});
+
 // Add excluded app
 document.getElementById('addAppBtn').addEventListener('click', () => {
   const input = document.getElementById('addAppInput');
@@ -462,11 +1325,32 @@ document.getElementById('aiEnabledToggle').addEventListener('change', (e) => {
 });
 
 document.getElementById('openaiApiKeyInput').addEventListener('change', (e) => {
+  if (!e.target.value) return;
   ipcRenderer.send('update-settings', { openaiApiKey: e.target.value });
+  e.target.value = '';
 });
 
 document.getElementById('groqApiKeyInput').addEventListener('change', (e) => {
+  if (!e.target.value) return;
   ipcRenderer.send('update-settings', { groqApiKey: e.target.value });
+  e.target.value = '';
+});
+
+// Clearing the input keeps the saved key, removing it takes an explicit click
+async function removeApiKey(name, label) {
+  if (!confirm(`Remove the saved ${label} API key?`)) return;
+  const result = await ipcRenderer.invoke('remove-api-key', name);
+  if (!result.success) {
+    alert('Error removing API key: ' + result.error);
+  }
+}
+
+document.getElementById('removeOpenaiApiKeyBtn').addEventListener('click', () => {
+  removeApiKey('openaiApiKey', 'OpenAI');
+});
+
+document.getElementById('removeGroqApiKeyBtn').addEventListener('click', () => {
+  removeApiKey('groqApiKey', 'Groq');
 });
 
 document.getElementById('autoCategorizeToggle').addEventListener('change', (e) => {
@@ -617,7 +1501,7 @@ document.getElementById('aiSearchBtn').addEventListener('click', () => {
 });
 
 async function performAiSearch(query) {
-  if (!settings.aiEnabled || (!settings.openaiApiKey && !settings.groqApiKey)) {
+  if (!settings.aiEnabled || (!settings.hasOpenaiKey && !settings.hasGroqKey)) {
     alert('AI features require OpenAI or Groq API key. Please configure in Settings.');
     isAiSearchMode = false;
     document.getElementById('aiSearchBtn').classList.remove('active');
@@ -645,7 +1529,7 @@ document.getElementById('smartPasteBtn').addEventListener('click', async () => {
     return;
   }
   
-  if (!settings.aiEnabled || (!settings.openaiApiKey && !settings.groqApiKey)) {
+  if (!settings.aiEnabled || (!settings.hasOpenaiKey && !settings.hasGroqKey)) {
     alert('AI features require OpenAI or Groq API key. Please configure in Settings.');
     return;
   }
@@ -691,7 +1575,7 @@ document.getElementById('formatterBtn').addEventListener('click', async () => {
     return;
   }
   
-  if (!settings.aiEnabled || (!settings.openaiApiKey && !settings.groqApiKey)) {
+  if (!settings.aiEnabled || (!settings.hasOpenaiKey && !settings.hasGroqKey)) {
     alert('AI features require OpenAI or Groq API key. Please configure in Settings.');
     return;
   }
@@ -726,7 +1610,7 @@ document.getElementById('replyBtn').addEventListener('click', async () => {
     return;
   }
   
-  if (!settings.aiEnabled || (!settings.openaiApiKey && !settings.groqApiKey)) {
+  if (!settings.aiEnabled || (!settings.hasOpenaiKey && !settings.hasGroqKey)) {
     alert('AI features require OpenAI or Groq API key. Please configure in Settings.');
     return;
   }
@@ -801,12 +1685,14 @@ function updatePrivateModeUI() {
   if (isPrivateMode) {
     privateBtn.classList.add('active');
     privateIcon.textContent = '🔓';
-    privateBtn.title = 'Exit Private Mode';
+    privateBtn.title = `Exit Private Mode (${privateModeDetail})`;
     document.getElementById('statusText').textContent = 'Private';
+    document.getElementById('statusText').title = privateModeDetail;
   } else {
     privateBtn.classList.remove('active');
     privateIcon.textContent = '🔒';
     privateBtn.title = 'Enter Private Mode';
+    document.getElementById('statusText').title = '';
     updateMonitoringUI(); // Update status text
   }
 }
@@ -824,16 +1710,96 @@ document.getElementById('searchInput').addEventListener('input', async (e) => {
 
 function filterHistory() {
   const searchTerm = document.getElementById('searchInput').value.toLowerCase();
-  if (searchTerm === '') {
-    filteredHistory = history;
-  } else {
-    filteredHistory = history.filter(item => 
+  const sourceApp = document.getElementById('sourceAppFilter').value;
+  const since = getTimeFilterStart(document.getElementById('timeFilter').value);
+  let matches = history;
+  if (searchTerm !== '') {
+    matches = matches.filter(item => 
       item.text.toLowerCase().includes(searchTerm)
     );
   }
+  if (sourceApp !== '') {
+    matches = matches.filter(item => item.sourceApp === sourceApp);
+  }
+  if (since) {
+    matches = matches.filter(item => (item.capturedAt || item.timestamp) >= since);
+  }
+  filteredHistory = pinnedFirst(matches);
   selectedIndex = -1;
 }
 
+// Start of the period chosen in the time filter (ms), 0 for any time
+function getTimeFilterStart(period) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  if (period === 'today') return today.getTime();
+  if (period === 'week') return today.getTime() - 6 * 24 * 60 * 60 * 1000;
+  return 0;
+}
+
+// Apps items were copied from, most used first
+function updateSourceAppFilter() {
+  const select = document.getElementById('sourceAppFilter');
+  const counts = new Map();
+  history.forEach(item => {
+    if (item.sourceApp) counts.set(item.sourceApp, (counts.get(item.sourceApp) || 0) + 1);
+  });
+  const apps = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+  // Keep a chosen app in the list even when none of its items are left
+  if (select.value && !counts.has(select.value)) apps.push(select.value);
+  
+  const current = select.value;
+  select.innerHTML = '<option value="">All apps</option>' + apps.map(app =>
+    `<option value="${escapeHtml(app)}">${escapeHtml(app)}</option>`
+  ).join('');
+  select.value = current;
+}
+
+['sourceAppFilter', 'timeFilter'].forEach(id => {
+  document.getElementById(id).addEventListener('change', () => {
+    filterHistory();
+    renderHistory();
+  });
+});
+
+// "Copied from" line under an item: app, window title and when it was first copied
+function renderItemSource(item) {
+  let html = '';
+  if (item.sourceApp) {
+    const title = item.sourceWindowTitle ? `${item.sourceApp} — ${item.sourceWindowTitle}` : item.sourceApp;
+    let label = title;
+    if (label.length > 50) label = label.substring(0, 50) + '...';
+    html += ` · <span class="item-source" data-app="${escapeHtml(item.sourceApp)}" title="${escapeHtml(title)} (click to show only this app)">${escapeHtml(label)}</span>`;
+  }
+  // The time shown is when the item was last used, so show the first copy if it was earlier
+  if (item.capturedAt && item.timestamp - item.capturedAt > 60 * 1000) {
+    html += ` · copied ${escapeHtml(new Date(item.capturedAt).toLocaleString())}`;
+  }
+  return html;
+}
+
+// Pinned items go on top in the order they were pinned, so their
+// quick-paste numbers don't change when new items are copied
+function pinnedFirst(items) {
+  const pinned = items
+    .filter(item => item.pinned)
+    .sort((a, b) => (a.pinnedAt || 0) - (b.pinnedAt || 0));
+  const unpinned = items.filter(item => !item.pinned);
+  return pinned.concat(unpinned);
+}
+
+// Section header shown above the first pinned item and the first recent item
+function renderSectionHeader(item, index, items) {
+  const previous = items[index - 1];
+  if (item.pinned && index === 0) {
+    return '<div class="history-section">📌 Pinned</div>';
+  }
+  if (!item.pinned && previous && previous.pinned) {
+    return '<div class="history-section">Recent</div>';
+  }
+  return '';
+}
+
 function renderHistory() {
   const list = document.getElementById('historyList');
   
@@ -842,37 +1808,95 @@ function renderHistory() {
     return;
   }
   
-  list.innerHTML = filteredHistory.map((item, index) => {
-    const preview = item.text.length > 100 
-      ? item.text.substring(0, 100) + '...' 
-      : item.text;
+  const visibleHistory = filteredHistory.slice(0, MAX_RENDERED_ITEMS);
+  list.innerHTML = visibleHistory.map((item, index) => {
     const time = new Date(item.timestamp).toLocaleTimeString();
-    const number = index < 9 ? (index + 1) : '';
+    // In the queue, the badge shows the queue position instead of the quick-paste number
+    const queuePosition = pasteQueue.ids.indexOf(item.id);
+    const number = queuePosition !== -1 ? `Q${queuePosition + 1}` : (index < 9 ? (index + 1) : '');
     
     const category = item.category || 'other';
     return `
-      <div class="history-item" data-index="${index}" data-id="${item.id}">
+      ${renderSectionHeader(item, index, visibleHistory)}
+      <div class="history-item${item.pinned ? ' pinned' : ''}${queuePosition !== -1 ? ' queued' : ''}${selectedIds.has(item.id) ? ' multi-selected' : ''}" data-index="${index}" data-id="${escapeHtml(item.id)}">
         <div class="item-number">${number}</div>
         <div class="item-content">
-          <div class="item-text" title="${escapeHtml(item.text)}">
-            ${escapeHtml(preview)}
-            <span class="item-category ${category}">${category}</span>
-          </div>
-          <div class="item-time">${time}</div>
+          ${renderItemBody(item, category)}
+          <div class="item-time">${escapeHtml(time)}${renderItemSource(item)}${item.sourceDevice ? ` · from ${escapeHtml(item.sourceDevice.name)}` : ''}${item.selection === 'primary' ? ' · selected text' : ''}</div>
+        </div>
+        <div class="item-actions">
+          ${renderPasteActions(item)}
+          <button class="item-action-btn pin-btn" data-id="${escapeHtml(item.id)}" title="${item.pinned ? 'Unpin' : 'Pin'}">${item.pinned ? '📍' : '📌'}</button>
+          <button class="delete-btn" data-id="${escapeHtml(item.id)}" title="Delete">×</button>
         </div>
-        <button class="delete-btn" data-id="${item.id}" title="Delete">×</button>
       </div>
     `;
   }).join('');
   
+  if (filteredHistory.length > visibleHistory.length) {
+    list.innerHTML += `<div class="history-more">Showing ${visibleHistory.length} of ${filteredHistory.length} items • search to find older clips</div>`;
+  }
+  
   // Add click handlers for items
   document.querySelectorAll('.history-item').forEach(item => {
     item.addEventListener('click', (e) => {
-      // Don't trigger paste if clicking delete button
-      if (e.target.classList.contains('delete-btn')) return;
+      // Don't trigger paste if clicking one of the item actions
+      if (e.target.closest('.item-actions')) return;
       
       const index = parseInt(item.dataset.index);
-      pasteItem(index);
+      // Shift-click selects a range, Ctrl/Cmd-click toggles one item.
+      // While something is selected, a plain click also toggles.
+      const anchorIndex = filteredHistory.findIndex(entry => entry.id === lastClickedId);
+      if (e.shiftKey && anchorIndex !== -1) {
+        selectRange(anchorIndex, index);
+      } else if (e.metaKey || e.ctrlKey || e.shiftKey || selectedIds.size > 0) {
+        toggleSelected(index);
+      } else {
+        pasteItem(index);
+      }
+    });
+  });
+  
+  // Add paste action handlers
+  document.querySelectorAll('.paste-action-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const index = parseInt(btn.closest('.history-item').dataset.index);
+      pasteItem(index, {
+        plainText: btn.dataset.mode === 'plain',
+        secure: btn.dataset.mode === 'secure',
+        selection: btn.dataset.mode === 'primary' ? 'primary' : undefined
+      });
+    });
+  });
+  
+  // Clicking an item's source app filters the history by that app
+  document.querySelectorAll('.item-source').forEach(source => {
+    source.addEventListener('click', (e) => {
+      e.stopPropagation();
+      document.getElementById('sourceAppFilter').value = source.dataset.app;
+      filterHistory();
+      renderHistory();
+    });
+  });
+  
+  // Reveal masked secrets (until the window loses focus)
+  document.querySelectorAll('.reveal-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      revealedIds.add(btn.dataset.id);
+      renderHistory();
+    });
+  });
+  
+  // Add pin button handlers
+  document.querySelectorAll('.pin-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const item = history.find(h => h.id === btn.dataset.id);
+      if (item) {
+        ipcRenderer.send('pin-item', item.id, !item.pinned);
+      }
     });
   });
   
@@ -895,38 +1919,283 @@ function renderHistory() {
   }
 }
 
+// Text preview or image thumbnail for a history item
+function renderItemBody(item, category) {
+  if (item.type === 'image') {
+    return `
+      <div class="item-image">
+        <img class="item-thumbnail" src="${escapeHtml(item.thumbnail)}" alt="Clipboard image">
+        <span class="item-image-size">${escapeHtml(item.width)} × ${escapeHtml(item.height)}</span>
+        <span class="item-category ${escapeHtml(category)}">${escapeHtml(category)}</span>
+      </div>
+    `;
+  }
+  
+  if (item.type === 'file') {
+    return renderFileBody(item, category);
+  }
+  
+  // Detected secrets stay hidden (also from the tooltip) until revealed
+  if (item.sensitive && !revealedIds.has(item.id)) {
+    const labels = item.sensitive.map(kind => SENSITIVE_LABELS[kind] || 'Secret').join(', ');
+    return `
+      <div class="item-text item-masked">
+        •••••••• ${escapeHtml(labels)}
+        <button class="item-action-btn reveal-btn" data-id="${escapeHtml(item.id)}" title="Show">👁</button>
+        <span class="item-category ${escapeHtml(category)}">${escapeHtml(category)}</span>
+      </div>
+    `;
+  }
+  
+  const preview = item.text.length > 100 
+    ? item.text.substring(0, 100) + '...' 
+    : item.text;
+  return `
+    <div class="item-text" title="${escapeHtml(item.text)}">
+      ${escapeHtml(preview)}
+      <span class="item-category ${escapeHtml(category)}">${escapeHtml(category)}</span>
+    </div>
+  `;
+}
+
+// File list with icon, name and size for copied files/folders
+function renderFileBody(item, category) {
+  const files = item.files || [];
+  const hasFolder = files.some(file => file.isDirectory);
+  const icon = hasFolder ? '📁' : '📄';
+  const shown = files.slice(0, 3).map(file => `
+    <div class="item-file" title="${escapeHtml(file.path)}">
+      <span class="item-file-name">${escapeHtml(file.name)}</span>
+      <span class="item-file-meta">${file.isDirectory ? 'folder' : escapeHtml(formatFileSize(file.size))}</span>
+    </div>
+  `).join('');
+  const more = files.length > 3 ? `<div class="item-file-more">+${files.length - 3} more</div>` : '';
+  
+  return `
+    <div class="item-files">
+      <span class="item-file-icon">${icon}</span>
+      <div class="item-file-list">
+        ${shown}
+        ${more}
+      </div>
+      <span class="item-category ${escapeHtml(category)}">${files.length > 1 ? `${files.length} files` : escapeHtml(category)}</span>
+    </div>
+  `;
+}
+
+function formatFileSize(bytes) {
+  if (bytes === null || bytes === undefined) return 'missing';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+// "Paste with formatting" / "Paste as plain text" buttons for text items
+// (for file items, plain text pastes the paths)
+function renderPasteActions(item) {
+  if (item.type === 'image') return '';
+  
+  let html = '';
+  if (item.formats) {
+    html += `<button class="item-action-btn paste-action-btn" data-mode="formatted" title="Paste with formatting">Aa</button>`;
+  }
+  const plainTitle = item.type === 'file' ? 'Paste paths as text' : 'Paste as plain text';
+  html += `<button class="item-action-btn paste-action-btn" data-mode="plain" title="${plainTitle}">T</button>`;
+  if (item.type !== 'file') {
+    html += `<button class="item-action-btn paste-action-btn" data-mode="secure" title="Secure paste (taken off the clipboard afterwards)">🔐</button>`;
+  }
+  if (IS_LINUX && item.type === 'text' && !item.sensitive) {
+    html += `<button class="item-action-btn paste-action-btn" data-mode="primary" title="Put in the PRIMARY selection (paste with a middle click)">🖱</button>`;
+  }
+  return html;
+}
+
+// Also escapes quotes, so the result can be used in attribute values
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;');
 }
 
-function pasteItem(index) {
+function pasteItem(index, options = {}) {
   if (index < 0 || index >= filteredHistory.length) return;
   
   const item = filteredHistory[index];
   
-  // Move item to top of history
-  const historyIndex = history.findIndex(h => h.id === item.id);
-  if (historyIndex > 0) {
-    history.splice(historyIndex, 1);
-    history.unshift(item);
-    // Update timestamp
-    item.timestamp = Date.now();
-    
-    // Save and notify
-    ipcRenderer.send('update-history', history);
+  // In collect mode, items are added to / removed from the paste queue instead
+  if (pasteQueue.collectMode) {
+    if (pasteQueue.ids.includes(item.id)) {
+      ipcRenderer.send('dequeue-item', item.id);
+    } else {
+      ipcRenderer.send('queue-items', [item.id]);
+    }
+    return;
   }
   
-  // Send paste command - this will copy to clipboard, close window, and simulate paste
-  ipcRenderer.send('paste-item', item.text);
+  // Send paste command - this will move the item to the top, copy it to the
+  // clipboard, close the window and simulate paste
+  ipcRenderer.send('paste-item', item.id, options);
 }
 
+// Multi-select
+function toggleSelected(index) {
+  const item = filteredHistory[index];
+  if (!item) return;
+  
+  if (selectedIds.has(item.id)) {
+    selectedIds.delete(item.id);
+  } else {
+    selectedIds.add(item.id);
+  }
+  lastClickedId = item.id;
+  updateBulkUI();
+  renderHistory();
+}
+
+function selectRange(fromIndex, toIndex) {
+  const start = Math.min(fromIndex, toIndex);
+  const end = Math.max(fromIndex, toIndex);
+  filteredHistory.slice(start, end + 1).forEach(item => selectedIds.add(item.id));
+  lastClickedId = filteredHistory[toIndex].id;
+  updateBulkUI();
+  renderHistory();
+}
+
+function clearSelection() {
+  selectedIds = new Set();
+  lastClickedId = null;
+  updateBulkUI();
+  renderHistory();
+}
+
+// Drop selected ids that are no longer in history (deleted, expired...).
+// The range anchor is kept by id, so new clips don't break Shift-click.
+function pruneSelection() {
+  const ids = new Set(history.map(item => item.id));
+  selectedIds = new Set(Array.from(selectedIds).filter(id => ids.has(id)));
+  if (!ids.has(lastClickedId)) {
+    lastClickedId = null;
+  }
+  updateBulkUI();
+}
+
+function getSelectedIds() {
+  return Array.from(selectedIds);
+}
+
+function getMergeSeparator() {
+  const mode = document.getElementById('mergeSeparatorSelect').value;
+  if (mode !== 'custom') {
+    return MERGE_SEPARATORS[mode];
+  }
+  // Let users type \n and \t in the custom separator
+  return document.getElementById('mergeSeparatorInput').value
+    .replace(/\\n/g, '\n')
+    .replace(/\\t/g, '\t');
+}
+
+function updateBulkUI() {
+  const count = selectedIds.size;
+  document.getElementById('bulkBar').style.display = count > 0 ? 'flex' : 'none';
+  document.getElementById('bulkStatus').textContent = `${count} selected`;
+  
+  const allPinned = count > 0 && getSelectedIds().every(id => {
+    const item = history.find(h => h.id === id);
+    return item && item.pinned;
+  });
+  document.getElementById('bulkPinBtn').textContent = allPinned ? '📍 Unpin' : '📌 Pin';
+}
+
+function updateMergeSeparatorUI() {
+  const separator = settings.mergeSeparator !== undefined ? settings.mergeSeparator : '\n';
+  const mode = Object.keys(MERGE_SEPARATORS).find(key => MERGE_SEPARATORS[key] === separator) || 'custom';
+  document.getElementById('mergeSeparatorSelect').value = mode;
+  
+  const input = document.getElementById('mergeSeparatorInput');
+  input.style.display = mode === 'custom' ? 'inline-block' : 'none';
+  if (mode === 'custom' && document.activeElement !== input) {
+    input.value = separator.replace(/\n/g, '\\n').replace(/\t/g, '\\t');
+  }
+}
+
+document.getElementById('bulkPinBtn').addEventListener('click', () => {
+  const ids = getSelectedIds();
+  const allPinned = ids.every(id => {
+    const item = history.find(h => h.id === id);
+    return item && item.pinned;
+  });
+  ipcRenderer.send('pin-items', ids, !allPinned);
+});
+
+document.getElementById('bulkCategorySelect').addEventListener('change', (e) => {
+  const category = e.target.value;
+  if (!category) return;
+  ipcRenderer.send('set-items-category', getSelectedIds(), category);
+  e.target.value = '';
+});
+
+document.getElementById('mergeSeparatorSelect').addEventListener('change', (e) => {
+  const input = document.getElementById('mergeSeparatorInput');
+  if (e.target.value === 'custom') {
+    input.style.display = 'inline-block';
+    input.focus();
+    return;
+  }
+  input.style.display = 'none';
+  ipcRenderer.send('update-settings', { mergeSeparator: getMergeSeparator() });
+});
+
+document.getElementById('mergeSeparatorInput').addEventListener('change', () => {
+  ipcRenderer.send('update-settings', { mergeSeparator: getMergeSeparator() });
+});
+
+document.getElementById('bulkMergeBtn').addEventListener('click', () => {
+  const ids = getSelectedIds();
+  clearSelection();
+  ipcRenderer.send('merge-and-paste', ids, getMergeSeparator());
+});
+
+document.getElementById('bulkQueueBtn').addEventListener('click', () => {
+  ipcRenderer.send('queue-items', getSelectedIds());
+  clearSelection();
+});
+
+document.getElementById('bulkExportBtn').addEventListener('click', async () => {
+  const result = await ipcRenderer.invoke('export-items', getSelectedIds());
+  if (result.success) {
+    clearSelection();
+    if (result.leftOut > 0) {
+      alert(`${result.leftOut} detected secret${result.leftOut === 1 ? ' was' : 's were'} left out of the export. Use the Encrypted Archive format in Settings to keep them.`);
+    }
+  } else if (!result.canceled) {
+    alert('Export failed: ' + result.error);
+  }
+});
+
+document.getElementById('bulkDeleteBtn').addEventListener('click', () => {
+  const ids = getSelectedIds();
+  if (!confirm(`Delete ${ids.length} item${ids.length === 1 ? '' : 's'}?`)) return;
+  ipcRenderer.send('delete-items', ids);
+  clearSelection();
+});
+
+document.getElementById('clearSelectionBtn').addEventListener('click', () => {
+  clearSelection();
+});
+
 // Keyboard shortcuts
 document.addEventListener('keydown', (e) => {
   // Don't trigger shortcuts if user is typing in search box (unless it's a special key)
   const isTypingInSearch = document.activeElement === document.getElementById('searchInput');
   
+  // Text fields in the panels (snippet editor, AI inputs...) keep all keys except Escape
+  const isTypingInPanel = !isTypingInSearch &&
+    ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName);
+  if (isTypingInPanel && e.key !== 'Escape') {
+    return;
+  }
+  
   // Number keys 1-9 (only if not typing in search)
   if (!isTypingInSearch && e.key >= '1' && e.key <= '9') {
     const num = parseInt(e.key) - 1;
@@ -938,7 +2207,7 @@ document.addEventListener('keydown', (e) => {
   
   // Arrow keys
   if (e.key === 'ArrowDown') {
-    selectedIndex = Math.min(selectedIndex + 1, filteredHistory.length - 1);
+    selectedIndex = Math.min(selectedIndex + 1, Math.min(filteredHistory.length, MAX_RENDERED_ITEMS) - 1);
     renderHistory();
     e.preventDefault();
   } else if (e.key === 'ArrowUp') {
@@ -947,9 +2216,9 @@ document.addEventListener('keydown', (e) => {
     e.preventDefault();
   }
   
-  // Enter key (paste selected)
+  // Enter key (paste selected), Shift+Enter pastes as plain text, Alt+Enter is a secure paste
   if (e.key === 'Enter' && selectedIndex >= 0) {
-    pasteItem(selectedIndex);
+    pasteItem(selectedIndex, { plainText: e.shiftKey, secure: e.altKey });
     e.preventDefault();
   }
   
@@ -957,9 +2226,12 @@ document.addEventListener('keydown', (e) => {
   if (e.key === 'Escape') {
     const hasOpenPanel = document.getElementById('settingsPanel').style.display !== 'none' ||
                          document.getElementById('aiPanel').style.display !== 'none' ||
-                         document.getElementById('logsPanel').style.display !== 'none';
+                         document.getElementById('logsPanel').style.display !== 'none' ||
+                         document.getElementById('snippetsPanel').style.display !== 'none';
     if (hasOpenPanel) {
       closeAllPanels();
+    } else if (selectedIds.size > 0) {
+      clearSelection();
     } else {
       ipcRenderer.send('close-window');
     }
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const { encrypt, decrypt } = require('./crypto-utils');
+const { writeFileAtomic } = require('./atomic-write');
+
+// API keys and other secrets, kept out of settings.json.
+// Secrets are encrypted with the OS keychain through Electron's safeStorage when it is
+// available, otherwise with the history key. The file records which one was used.
+class SecretStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.safeStorage = null;
+    this.key = null;
+    this.secrets = {};
+  }
+
+  // safeStorage: Electron's safeStorage module, key: history key used as the fallback
+  configure({ safeStorage = null, key = null } = {}) {
+    this.safeStorage = safeStorage;
+    this.key = key;
+  }
+
+  // Linux without a keyring falls back to a hardcoded password ('basic_text'), which protects nothing
+  hasSafeStorage() {
+    if (!this.safeStorage || !this.safeStorage.isEncryptionAvailable()) return false;
+    if (process.platform === 'linux' && this.safeStorage.getSelectedStorageBackend) {
+      return this.safeStorage.getSelectedStorageBackend() !== 'basic_text';
+    }
+    return true;
+  }
+
+  // True when the secrets are encrypted with the history key (so key rotation must rewrite them)
+  get usesHistoryKey() {
+    return !this.hasSafeStorage();
+  }
+
+  load() {
+    this.secrets = {};
+    if (!fs.existsSync(this.filePath)) {
+      return this.secrets;
+    }
+
+    const { backend, data } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    let json = null;
+    if (backend === 'safeStorage') {
+      json = this.safeStorage.decryptString(Buffer.from(data, 'base64'));
+    } else {
+      json = decrypt(data, this.key);
+    }
+    if (!json) {
+      throw new Error('Could not decrypt secrets (corrupted, tampered with or wrong key)');
+    }
+    this.secrets = JSON.parse(json);
+
+    // Move secrets into the keychain once it becomes available
+    if (backend !== 'safeStorage' && this.hasSafeStorage()) {
+      this.write();
+    }
+    return this.secrets;
+  }
+
+  write() {
+    const json = JSON.stringify(this.secrets);
+    const record = this.hasSafeStorage()
+      ? { backend: 'safeStorage', data: this.safeStorage.encryptString(json).toString('base64') }
+      : { backend: 'key', data: encrypt(json, this.key) };
+    writeFileAtomic(this.filePath, JSON.stringify(record), { mode: 0o600 });
+  }
+
+  get(name) {
+    return this.secrets[name] || '';
+  }
+
+  has(name) {
+    return !!this.secrets[name];
+  }
+
+  // Set several secrets at once; empty values remove them
+  set(values) {
+    Object.entries(values).forEach(([name, value]) => {
+      if (value) {
+        this.secrets[name] = value;
+      } else {
+        delete this.secrets[name];
+      }
+    });
+    this.write();
+  }
+}
+
+module.exports = SecretStore;
@@ -0,0 +1,110 @@
+// Local detection of secrets in copied text (nothing leaves the machine).
+// Flagged items are masked in the history, never sent to AI and deleted after a short lifetime.
+
+// Very long texts are only scanned at the start and the end
+const MAX_SCAN_LENGTH = 64 * 1024;
+
+const PATTERNS = [
+  { kind: 'private-key', label: 'Private key', pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/ },
+  { kind: 'aws-key', label: 'AWS access key', pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[A-Z0-9]{16}\b/ },
+  { kind: 'aws-secret', label: 'AWS secret key', pattern: /aws.{0,20}secret.{0,20}?['"=:\s]\s*['"]?[A-Za-z0-9/+]{40}(?![A-Za-z0-9/+])/i },
+  { kind: 'jwt', label: 'JWT', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/ },
+  { kind: 'api-token', label: 'API token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,}|xox[abprs]-[A-Za-z0-9-]{10,}|(?:sk|rk)_live_[A-Za-z0-9]{20,}|AIza[A-Za-z0-9_-]{35}|sk-(?:proj-)?[A-Za-z0-9_-]{32,}|gsk_[A-Za-z0-9]{40,}|glpat-[A-Za-z0-9_-]{20,})/ }
+];
+
+// password=..., "password": "...", DB_PASSWORD: ... with a quoted (group 2) or bare (group 3) value
+const PASSWORD_PATTERN = /(?<![A-Za-z0-9])(?:password|passwd|pwd|secret|api[_-]?key)['"]?\s*[:=]\s*(?:(['"])([^\s'"]{6,})\1|([^\s'"]{6,}))/gi;
+
+// A bare value that is code rather than a password: a variable followed by ; , or ),
+// a member access, call or index (req.body.password, getPassword(), env['PW']),
+// a shell or template variable ($DB_PASS, %PW%, ${pw}) or a type annotation
+const CODE_VALUE_PATTERN = /^(?:[A-Za-z_][\w]*[;,)]|[A-Za-z_$][\w$]*(?:(?:\?\.|\.|::|->)[A-Za-z_$]|[([])|[$%])/;
+const TYPE_NAMES = ['string', 'String', 'number', 'boolean', 'SecureString', 'Optional', 'undefined'];
+
+// 13-19 digits, optionally grouped with spaces or dashes
+const CARD_NUMBER_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+
+// Card brands by number prefix and length, so other long numbers that happen to pass
+// the Luhn check (millisecond timestamps, order or account ids) aren't flagged
+const CARD_BRANDS = [
+  { name: 'Visa', prefix: /^4/, lengths: [13, 16, 19] },
+  { name: 'Mastercard', prefix: /^(?:5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d\d|27[01]\d|2720)/, lengths: [16] },
+  { name: 'American Express', prefix: /^3[47]/, lengths: [15] },
+  { name: 'Discover', prefix: /^(?:6011|64[4-9]|65)/, lengths: [16, 17, 18, 19] },
+  { name: 'Diners Club', prefix: /^(?:30[0-5]|3095|36|3[89])/, lengths: [14, 15, 16, 17, 18, 19] },
+  { name: 'JCB', prefix: /^35(?:2[89]|[3-8]\d)/, lengths: [16, 17, 18, 19] },
+  { name: 'UnionPay', prefix: /^62/, lengths: [16, 17, 18, 19] },
+  { name: 'Maestro', prefix: /^(?:5018|5020|5038|5893|6304|6759|676[1-3])/, lengths: [12, 13, 14, 15, 16, 17, 18, 19] }
+];
+
+function passesLuhnCheck(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function isCardBrandNumber(digits) {
+  return CARD_BRANDS.some(brand => brand.prefix.test(digits) && brand.lengths.includes(digits.length));
+}
+
+function containsCardNumber(text) {
+  for (const match of text.matchAll(CARD_NUMBER_PATTERN)) {
+    const digits = match[0].replace(/[ -]/g, '');
+    // Same digit repeated (e.g. 4444 4444 4444 4444) passes Luhn but isn't a card
+    if (isCardBrandNumber(digits) && !/^(\d)\1+$/.test(digits) && passesLuhnCheck(digits)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Only literal values count: `password = "hunter22"` or PASSWORD=hunter22 in a config
+// file, not `const password = req.body.password;`
+function containsPassword(text) {
+  for (const match of text.matchAll(PASSWORD_PATTERN)) {
+    if (match[2]) return true;
+    const value = match[3];
+    if (!CODE_VALUE_PATTERN.test(value) && !TYPE_NAMES.includes(value.replace(/[;,)]+$/, ''))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Kinds of secrets found in the text, e.g. ['aws-key', 'jwt'] (empty array if none)
+function detectSensitive(text) {
+  if (typeof text !== 'string' || text.trim() === '') return [];
+  const sample = text.length > MAX_SCAN_LENGTH
+    ? text.slice(0, MAX_SCAN_LENGTH / 2) + '\n' + text.slice(-MAX_SCAN_LENGTH / 2)
+    : text;
+
+  const kinds = PATTERNS.filter(({ pattern }) => pattern.test(sample)).map(({ kind }) => kind);
+  if (containsPassword(sample)) {
+    kinds.push('password');
+  }
+  if (containsCardNumber(sample)) {
+    kinds.push('credit-card');
+  }
+  return kinds;
+}
+
+function isSensitive(text) {
+  return detectSensitive(text).length > 0;
+}
+
+// Readable name for a detected kind
+function getSensitiveLabel(kind) {
+  if (kind === 'credit-card') return 'Card number';
+  if (kind === 'password') return 'Password';
+  const entry = PATTERNS.find(p => p.kind === kind);
+  return entry ? entry.label : 'Secret';
+}
+
+module.exports = { detectSensitive, isSensitive, getSensitiveLabel };
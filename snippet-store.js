@@ -0,0 +1,103 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { encrypt, decrypt, isLegacyEncryption } = require('./crypto-utils');
+const { writeFileAtomic } = require('./atomic-write');
+
+// Saved snippet library. Snippets are few and edited by hand, so the whole
+// library is kept in one file, encrypted with the history key when encryption is on.
+class SnippetStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.key = null;
+    this.encrypt = false;
+    this.snippets = [];
+    this.needsRewrite = false; // loaded from the old CBC format
+  }
+
+  // Same options as HistoryStore.configure (key, encrypt)
+  configure({ key = null, encrypt = false } = {}) {
+    this.key = key;
+    this.encrypt = encrypt && !!key;
+  }
+
+  load() {
+    this.snippets = [];
+    this.needsRewrite = false;
+    if (!fs.existsSync(this.filePath)) {
+      return this.snippets;
+    }
+
+    const data = fs.readFileSync(this.filePath, 'utf8');
+    // Plain files are a JSON array, anything else is an encrypted envelope
+    const isPlain = data.trim().startsWith('[');
+    if (isPlain && this.encrypt) {
+      // Encryption rewrites the library, so a plain one was put there by someone else
+      throw new Error('Snippet library is not encrypted although encryption is on (tampered with)');
+    }
+    const json = isPlain ? data : decrypt(data, this.key);
+    if (!json) {
+      throw new Error('Could not decrypt snippet library (corrupted, tampered with or wrong key)');
+    }
+    this.snippets = JSON.parse(json);
+    this.needsRewrite = !isPlain && isLegacyEncryption(data);
+    return this.snippets;
+  }
+
+  // Move an unreadable library out of the way so new snippets don't overwrite it
+  setAside(suffix) {
+    if (!fs.existsSync(this.filePath)) return null;
+    const backupFile = `${this.filePath}.${suffix}`;
+    fs.renameSync(this.filePath, backupFile);
+    return backupFile;
+  }
+
+  // Write the library with the current encryption setting
+  write() {
+    const json = JSON.stringify(this.snippets, null, 2);
+    const data = this.encrypt ? encrypt(json, this.key) : json;
+    writeFileAtomic(this.filePath, data, { mode: 0o600 });
+  }
+
+  // Snippets sorted by name
+  all() {
+    return this.snippets.slice().sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(id) {
+    return this.snippets.find(snippet => snippet.id === id) || null;
+  }
+
+  // Create a snippet (no id) or update an existing one
+  save({ id, name, body }) {
+    const now = Date.now();
+    let snippet = id ? this.get(id) : null;
+    if (snippet) {
+      snippet.name = name;
+      snippet.body = body;
+      snippet.updatedAt = now;
+    } else {
+      snippet = {
+        id: `${now}-${crypto.randomBytes(3).toString('hex')}`,
+        name,
+        body,
+        createdAt: now,
+        updatedAt: now
+      };
+      this.snippets.push(snippet);
+    }
+    this.write();
+    return snippet;
+  }
+
+  remove(id) {
+    const count = this.snippets.length;
+    this.snippets = this.snippets.filter(snippet => snippet.id !== id);
+    if (this.snippets.length !== count) {
+      this.write();
+      return true;
+    }
+    return false;
+  }
+}
+
+module.exports = SnippetStore;
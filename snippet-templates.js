@@ -0,0 +1,68 @@
+// Template placeholders for snippets:
+//   {{date}} {{time}} {{datetime}}  current date/time
+//   {{clipboard}}                   current clipboard text
+//   {{cursor}}                      where the cursor is left after pasting
+//   {{input:Name}}                  asked for when the snippet is inserted
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z]+)(?::([^}]*))?\s*\}\}/gi;
+const CURSOR_MARKER = '\u0000CURSOR\u0000';
+
+// Names of the fields the user has to fill in, in order of first appearance
+function getTemplateFields(body) {
+  const fields = [];
+  for (const match of body.matchAll(PLACEHOLDER_PATTERN)) {
+    const name = (match[2] || '').trim();
+    if (match[1].toLowerCase() === 'input' && name && !fields.includes(name)) {
+      fields.push(name);
+    }
+  }
+  return fields;
+}
+
+// Characters as the user sees them (and as one Left arrow press skips them):
+// an emoji or an accented letter made of several code points, and \r\n, count as one
+function countCharacters(text) {
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    return Array.from(new Intl.Segmenter().segment(text)).length;
+  }
+  return [...text.replace(/\r\n/g, '\n')].length;
+}
+
+// Expand a snippet body.
+// Returns the text and how many characters follow {{cursor}} (null when there is no cursor).
+function expandTemplate(body, context = {}) {
+  const now = context.now || new Date();
+  const values = context.values || {};
+
+  let text = body.replace(PLACEHOLDER_PATTERN, (placeholder, type, arg) => {
+    switch (type.toLowerCase()) {
+      case 'date':
+        return now.toLocaleDateString();
+      case 'time':
+        return now.toLocaleTimeString();
+      case 'datetime':
+        return now.toLocaleString();
+      case 'clipboard':
+        return context.clipboardText || '';
+      case 'cursor':
+        return CURSOR_MARKER;
+      case 'input':
+        return values[(arg || '').trim()] || '';
+      default:
+        // Unknown placeholders are left as typed
+        return placeholder;
+    }
+  });
+
+  let cursorOffset = null;
+  const cursorIndex = text.indexOf(CURSOR_MARKER);
+  if (cursorIndex !== -1) {
+    // Only the first {{cursor}} counts
+    text = text.split(CURSOR_MARKER).join('');
+    cursorOffset = countCharacters(text.slice(cursorIndex));
+  }
+
+  return { text, cursorOffset };
+}
+
+module.exports = { getTemplateFields, expandTemplate };
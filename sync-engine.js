@@ -0,0 +1,388 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { encrypt, decrypt, createPasswordKey, derivePasswordKey } = require('./crypto-utils');
+const { writeFileAtomic } = require('./atomic-write');
+const { isItemId, sanitizeItem } = require('./item-validation');
+
+// Folder-based sync between devices (e.g. through a Syncthing or Dropbox folder).
+//
+// <folder>/economos-sync/
+//   sync.json             key derivation params + a check value for the passphrase
+//   changes/<device>.log  one append-only change log per device, one encrypted change per line
+//                         (<device>.<n>.log after the log was compacted n times)
+//
+// Each device only ever appends to its own log, so the sync tool never has to merge files.
+// Changes from other devices are read incrementally (a byte offset is kept per log) and
+// conflicts are resolved per item: the change with the latest changedAt wins, ties go
+// to the higher device id. Deletions are versioned like any other change (the version
+// stays as a tombstone), so an older put read later can't bring a deleted item back.
+// A put made after the deletion does, e.g. pinning the item on a device that hadn't
+// seen the deletion yet.
+//
+// Once a device has appended enough changes, it writes a snapshot of its log with only
+// the last change per item under a new name and deletes the old log. Other devices read
+// the snapshot from the start; they have seen those changes or older ones for the same
+// items already, so it doesn't matter how far they got in the old log. Tombstones are
+// kept in the snapshot, other logs may still hold older puts for the same items.
+
+const SYNC_DIR = 'economos-sync';
+const CHECK_VALUE = 'economos-sync';
+// Compact this device's log after this many appended changes
+const CHANGES_BEFORE_COMPACTION = 1000;
+
+function compareVersions(a, b) {
+  if (a.changedAt !== b.changedAt) return a.changedAt - b.changedAt;
+  return a.device < b.device ? -1 : a.device > b.device ? 1 : 0;
+}
+
+// The device a log belongs to: "<device>.log" or "<device>.<n>.log"
+function getLogDevice(name) {
+  return name.split('.')[0];
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+class SyncEngine {
+  // stateFile: local file with this device's id, read offsets and item versions.
+  // It is read the first time it's needed, so a damaged file can't stop the app from starting.
+  constructor(stateFile) {
+    this.stateFile = stateFile;
+    this.folder = null;
+    this.key = null;
+    this.loadedState = null;
+    this.stateDirty = false;
+  }
+
+  get state() {
+    if (!this.loadedState) {
+      this.loadState();
+    }
+    return this.loadedState;
+  }
+
+  set state(state) {
+    this.loadedState = state;
+  }
+
+  // A state file that can't be read is put aside and replaced by a fresh one:
+  // this device gets a new id and reads the sync folder from the beginning again
+  loadState() {
+    const fresh = { deviceId: null, cursors: {}, versions: {} };
+    this.loadedState = fresh;
+    try {
+      if (fs.existsSync(this.stateFile)) {
+        const saved = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+        if (!isPlainObject(saved) || !isPlainObject(saved.cursors || {}) || !isPlainObject(saved.versions || {})) {
+          throw new Error('Unexpected contents');
+        }
+        this.loadedState = { ...fresh, ...saved };
+      }
+    } catch (error) {
+      console.warn('Sync state could not be read, starting over:', error.message);
+      try {
+        fs.renameSync(this.stateFile, `${this.stateFile}.corrupt`);
+      } catch (renameError) {
+        // The fresh state is written over it below
+      }
+    }
+
+    if (typeof this.loadedState.deviceId !== 'string' || !this.loadedState.deviceId) {
+      this.loadedState.deviceId = crypto.randomBytes(8).toString('hex');
+      try {
+        this.saveState(true);
+      } catch (error) {
+        // Kept in memory, saved again with the next change
+        console.warn('Could not save sync state:', error.message);
+        this.stateDirty = true;
+      }
+    }
+  }
+
+  saveState(force = false) {
+    if (!force && !this.stateDirty) return;
+    writeFileAtomic(this.stateFile, JSON.stringify(this.state));
+    this.stateDirty = false;
+  }
+
+  get deviceId() {
+    return this.state.deviceId;
+  }
+
+  get isRunning() {
+    return !!(this.folder && this.key);
+  }
+
+  getSyncDir(folder) {
+    return path.join(folder, SYNC_DIR);
+  }
+
+  getChangesDir() {
+    return path.join(this.getSyncDir(this.folder), 'changes');
+  }
+
+  getOwnLogName(generation = this.state.logGeneration || 0) {
+    return generation > 0 ? `${this.deviceId}.${generation}.log` : `${this.deviceId}.log`;
+  }
+
+  getOwnLog() {
+    return path.join(this.getChangesDir(), this.getOwnLogName());
+  }
+
+  getLogNames() {
+    return fs.readdirSync(this.getChangesDir()).filter(name => name.endsWith('.log'));
+  }
+
+  // Join (or set up) a sync folder with the shared passphrase, returns the derived key.
+  // The first device creates sync.json, the others check their passphrase against it.
+  async connect(folder, passphrase) {
+    const syncDir = this.getSyncDir(folder);
+    const configFile = path.join(syncDir, 'sync.json');
+    fs.mkdirSync(path.join(syncDir, 'changes'), { recursive: true });
+
+    if (fs.existsSync(configFile)) {
+      const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+      const key = await derivePasswordKey(passphrase, config.kdf);
+      if (decrypt(config.check, key) !== CHECK_VALUE) {
+        throw new Error('Wrong sync passphrase for this folder');
+      }
+      return key;
+    }
+
+    const { key, params } = await createPasswordKey(passphrase);
+    writeFileAtomic(configFile, JSON.stringify({
+      version: 1,
+      kdf: params,
+      check: encrypt(CHECK_VALUE, key)
+    }, null, 2), { mode: 0o644 });
+    return key;
+  }
+
+  // Start syncing with a folder and the key from connect()
+  start(folder, key) {
+    if (this.state.folder !== folder) {
+      // A different folder has its own logs, read them from the beginning
+      this.state.cursors = {};
+      this.state.versions = {};
+      this.state.folder = folder;
+      this.state.logGeneration = 0;
+      this.state.changesSinceCompaction = 0;
+      this.stateDirty = true;
+    }
+    this.folder = folder;
+    this.key = key;
+  }
+
+  stop() {
+    this.saveState();
+    this.folder = null;
+    this.key = null;
+  }
+
+  // Forget everything about the current folder (used when sync is turned off)
+  reset() {
+    this.stop();
+    this.state = { deviceId: this.state.deviceId, cursors: {}, versions: {} };
+    this.saveState(true);
+  }
+
+  // Whether any change to the item was written or read since sync started
+  hasVersion(id) {
+    return !!this.state.versions[id];
+  }
+
+  // Append local changes to this device's log
+  recordChanges({ upserted = [], removed = [] }) {
+    if (!this.isRunning) return;
+
+    const changedAt = Date.now();
+    const lines = [];
+    upserted.forEach(item => {
+      lines.push(this.encodeChange({ op: 'put', id: item.id, item, changedAt, device: this.deviceId }));
+    });
+    removed.forEach(id => {
+      lines.push(this.encodeChange({ op: 'del', id, changedAt, device: this.deviceId }));
+    });
+    if (lines.length === 0) return;
+
+    fs.appendFileSync(this.getOwnLog(), lines.join('\n') + '\n');
+    this.state.changesSinceCompaction = (this.state.changesSinceCompaction || 0) + lines.length;
+    this.stateDirty = true;
+  }
+
+  compactIfNeeded() {
+    if (this.isRunning && (this.state.changesSinceCompaction || 0) >= CHANGES_BEFORE_COMPACTION) {
+      this.compact();
+    }
+  }
+
+  // Replace this device's log with a snapshot holding only the last change per item.
+  // The snapshot gets a new name, so other devices read it from the start.
+  compact() {
+    const ownLog = this.getOwnLog();
+    const latest = new Map(); // id -> encrypted line
+    if (fs.existsSync(ownLog)) {
+      fs.readFileSync(ownLog, 'utf8').split('\n').forEach(line => {
+        const change = line.trim() === '' ? null : this.decodeChange(line);
+        if (!change) return;
+        // Keep the order of the last changes, like the log itself
+        latest.delete(change.id);
+        latest.set(change.id, line);
+      });
+    }
+
+    const generation = (this.state.logGeneration || 0) + 1;
+    const lines = Array.from(latest.values());
+    writeFileAtomic(
+      path.join(this.getChangesDir(), this.getOwnLogName(generation)),
+      lines.length > 0 ? lines.join('\n') + '\n' : '',
+      { mode: 0o644 }
+    );
+    this.state.logGeneration = generation;
+    this.state.changesSinceCompaction = 0;
+    this.saveState(true);
+
+    // Also removes snapshots left behind when a compaction was cut off
+    this.getLogNames()
+      .filter(name => getLogDevice(name) === this.deviceId && name !== this.getOwnLogName())
+      .forEach(name => fs.unlinkSync(path.join(this.getChangesDir(), name)));
+  }
+
+  encodeChange(change) {
+    this.state.versions[change.id] = { changedAt: change.changedAt, device: change.device };
+    return encrypt(JSON.stringify(change), this.key);
+  }
+
+  // A change read from a log, or null if it can't be decrypted or isn't valid.
+  // Items get the same checks as imported ones (see item-validation.js).
+  decodeChange(line) {
+    let change;
+    try {
+      const json = decrypt(line, this.key);
+      change = json ? JSON.parse(json) : null;
+    } catch (error) {
+      return null;
+    }
+    if (!change || !isItemId(change.id) || typeof change.device !== 'string' || !Number.isFinite(change.changedAt)) {
+      return null;
+    }
+
+    const decoded = { op: change.op, id: change.id, changedAt: change.changedAt, device: change.device };
+    if (change.op === 'put') {
+      const item = sanitizeItem(change.item);
+      if (!item || item.id !== change.id) return null;
+      decoded.item = { category: 'other', ...item };
+    } else if (change.op !== 'del') {
+      return null;
+    }
+    return decoded;
+  }
+
+  // Read new changes from the other devices' logs.
+  // Returns the winning changes ({ upserted, removed }) plus stats.
+  poll() {
+    const result = { upserted: [], removed: [], devices: 0, unreadable: 0 };
+    if (!this.isRunning || !fs.existsSync(this.getChangesDir())) return result;
+
+    const names = this.getLogNames();
+    const otherLogs = names.filter(name => getLogDevice(name) !== this.deviceId);
+    result.devices = new Set(otherLogs.map(getLogDevice)).size;
+
+    // Forget the offsets of logs that were replaced by a snapshot
+    Object.keys(this.state.cursors).forEach(name => {
+      if (!names.includes(name)) {
+        delete this.state.cursors[name];
+        this.stateDirty = true;
+      }
+    });
+
+    const winners = new Map(); // id -> change
+    otherLogs.forEach(name => {
+      this.readNewLines(name).forEach(line => {
+        const change = this.decodeChange(line);
+        if (!change) {
+          result.unreadable++;
+          return;
+        }
+
+        const current = winners.get(change.id) || this.state.versions[change.id];
+        if (!current || compareVersions(change, current) > 0) {
+          winners.set(change.id, change);
+        }
+      });
+    });
+
+    winners.forEach(change => {
+      this.state.versions[change.id] = { changedAt: change.changedAt, device: change.device };
+      if (change.op === 'put') {
+        result.upserted.push(change.item);
+      } else if (change.op === 'del') {
+        result.removed.push(change.id);
+      }
+    });
+    if (winners.size > 0) {
+      this.stateDirty = true;
+    }
+    this.saveState();
+    return result;
+  }
+
+  // null when the log was deleted after the folder was listed (replaced by a snapshot)
+  statLog(name) {
+    try {
+      return fs.statSync(path.join(this.getChangesDir(), name));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Complete lines appended to a log since the last poll
+  readNewLines(name) {
+    const file = path.join(this.getChangesDir(), name);
+    const stats = this.statLog(name);
+    if (!stats) return [];
+    const size = stats.size;
+    let cursor = this.state.cursors[name] || 0;
+    if (size < cursor) {
+      // The log was replaced, read it again (changes are idempotent)
+      cursor = 0;
+    }
+    if (size === cursor) return [];
+
+    const buffer = Buffer.alloc(size - cursor);
+    const fd = fs.openSync(file, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, cursor);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // A line still being written (or synced) is left for the next poll
+    const end = buffer.lastIndexOf('\n');
+    if (end === -1) return [];
+    this.state.cursors[name] = cursor + end + 1;
+    this.stateDirty = true;
+    return buffer.slice(0, end).toString('utf8').split('\n').filter(line => line.trim() !== '');
+  }
+
+  // Other devices that wrote to the folder, with the time of their last change
+  getDevices() {
+    if (!this.isRunning || !fs.existsSync(this.getChangesDir())) return [];
+    const devices = new Map(); // id -> device, a log and its snapshot can both be there for a moment
+    this.getLogNames().forEach(name => {
+      const stats = this.statLog(name);
+      if (!stats) return;
+      const id = getLogDevice(name);
+      const known = devices.get(id);
+      if (!known || known.lastChange < stats.mtimeMs) {
+        devices.set(id, { id, isThisDevice: id === this.deviceId, lastChange: stats.mtimeMs });
+      }
+    });
+    return Array.from(devices.values());
+  }
+}
+
+module.exports = SyncEngine;
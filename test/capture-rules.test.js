@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeRule, findMatchingRule, redactText, describeRule } = require('../capture-rules');
+
+// Friday 2 January 2026, 10:00 local time
+const FRIDAY_MORNING = new Date(2026, 0, 2, 10, 0);
+
+function rule(fields) {
+  return normalizeRule({ id: fields.action, ...fields });
+}
+
+test('rejects rules that could never work', () => {
+  assert.throws(() => normalizeRule({ action: 'delete', pattern: 'x' }), /Unknown rule action/);
+  assert.throws(() => normalizeRule({ action: 'skip' }), /at least one condition/);
+  assert.throws(() => normalizeRule({ action: 'skip', pattern: '(' }), /Invalid content pattern/);
+  assert.throws(() => normalizeRule({ action: 'skip', windowTitle: '[' }), /Invalid window title pattern/);
+  assert.throws(() => normalizeRule({ action: 'skip', minLength: 10, maxLength: 5 }), /Minimum length/);
+  assert.throws(() => normalizeRule({ action: 'ttl', pattern: 'x' }), /how many minutes/);
+  assert.throws(() => normalizeRule({ action: 'skip', timeWindow: { start: '9', end: '17:00' } }), /HH:MM/);
+});
+
+test('the first enabled matching rule wins', () => {
+  const rules = [
+    rule({ action: 'skip', pattern: 'secret', enabled: false }),
+    rule({ action: 'keep', app: 'terminal' }),
+    rule({ action: 'skip', pattern: 'token' }),
+    rule({ action: 'redact', pattern: '\\d{4}' })
+  ];
+  const find = clip => (findMatchingRule(rules, clip, FRIDAY_MORNING) || {}).action || null;
+
+  assert.strictEqual(find({ type: 'text', text: 'my secret' }), null);
+  assert.strictEqual(find({ type: 'text', text: 'a token', app: 'Terminal' }), 'keep');
+  assert.strictEqual(find({ type: 'text', text: 'a TOKEN', app: 'Safari' }), 'skip');
+  assert.strictEqual(find({ type: 'text', text: 'pin 1234' }), 'redact');
+});
+
+test('matches the window title, length and category', () => {
+  const byTitle = rule({ action: 'skip', windowTitle: 'online banking' });
+  assert.ok(findMatchingRule([byTitle], { type: 'text', text: 'x', windowTitle: 'My Online Banking - Firefox' }));
+  assert.strictEqual(findMatchingRule([byTitle], { type: 'text', text: 'x', windowTitle: '' }), null);
+
+  const long = rule({ action: 'ttl', minLength: 5, ttlMinutes: 10 });
+  assert.strictEqual(findMatchingRule([long], { type: 'text', text: 'abcd' }), null);
+  assert.ok(findMatchingRule([long], { type: 'text', text: 'abcde' }));
+
+  const links = rule({ action: 'skip', categories: ['link'] });
+  assert.ok(findMatchingRule([links], { type: 'text', text: 'https://example.com', category: 'link' }));
+  assert.strictEqual(findMatchingRule([links], { type: 'text', text: 'hello' }), null);
+});
+
+test('text conditions never match images', () => {
+  const rules = [
+    rule({ action: 'skip', pattern: '.*' }),
+    rule({ action: 'skip', maxLength: 100 })
+  ];
+  assert.strictEqual(findMatchingRule(rules, { type: 'image', text: '', category: 'image' }), null);
+});
+
+test('matches only inside its time window', () => {
+  const officeHours = rule({ action: 'skip', app: 'slack', timeWindow: { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' } });
+  const clip = { type: 'text', text: 'hi', app: 'Slack' };
+  assert.ok(findMatchingRule([officeHours], clip, FRIDAY_MORNING));
+  assert.strictEqual(findMatchingRule([officeHours], clip, new Date(2026, 0, 2, 18, 0)), null);
+  assert.strictEqual(findMatchingRule([officeHours], clip, new Date(2026, 0, 3, 10, 0)), null);
+});
+
+test('skips rules that can\'t be evaluated', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const broken = { ...rule({ action: 'skip', pattern: 'x' }), pattern: '(' };
+  const fallback = rule({ action: 'keep', pattern: 'x' });
+  assert.strictEqual(findMatchingRule([broken, fallback], { type: 'text', text: 'x' }).action, 'keep');
+});
+
+test('redacts the matches, or everything without a pattern', () => {
+  assert.strictEqual(redactText('card 1234 and 5678', rule({ action: 'redact', pattern: '\\d{4}' })), 'card [redacted] and [redacted]');
+  assert.strictEqual(redactText('anything', rule({ action: 'redact', app: 'vault' })), '[redacted]');
+});
+
+test('describes a rule in one line', () => {
+  const described = describeRule(rule({
+    action: 'ttl',
+    ttlMinutes: 30,
+    windowTitle: 'bank',
+    timeWindow: { days: [1, 2, 3, 4, 5], start: '9:00', end: '17:30' }
+  }));
+  assert.strictEqual(described, 'Keep 30 min: title /bank/ · Mon-Fri 09:00-17:30');
+});
@@ -0,0 +1,256 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ClipboardWatcher = require('../clipboard-watcher');
+
+// Stands in for Electron's clipboard, with only the read methods the watcher uses
+function createFakeClipboard() {
+  const fake = {
+    text: '',
+    selection: '',
+    bitmap: null, // Buffer for an image on the clipboard
+    readText(type) {
+      return type === 'selection' ? fake.selection : fake.text;
+    },
+    availableFormats() {
+      return fake.bitmap ? ['image/png'] : ['text/plain'];
+    },
+    readImage() {
+      // A new image object on every read, like Electron
+      const bitmap = fake.bitmap;
+      return {
+        isEmpty: () => !bitmap,
+        toBitmap: () => Buffer.from(bitmap)
+      };
+    }
+  };
+  return fake;
+}
+
+// Stands in for the helper process that reports clipboard changes
+function createFakeNotifier() {
+  return {
+    started: false,
+    stopped: false,
+    onChange: null,
+    onFail: null,
+    start(onChange, onFail) {
+      this.started = true;
+      this.onChange = onChange;
+      this.onFail = onFail;
+    },
+    stop() {
+      this.stopped = true;
+    }
+  };
+}
+
+// Intervals long enough that no scheduled check runs during a test,
+// the tests run checks themselves and look at the next delay
+const INTERVALS = {
+  minInterval: 1000,
+  maxInterval: 8000,
+  idleInterval: 20000,
+  idleThreshold: 60,
+  safetyInterval: 30000
+};
+
+function createWatcher(options = {}) {
+  const changes = [];
+  const watcher = new ClipboardWatcher({
+    clipboard: createFakeClipboard(),
+    changeNotifier: null,
+    onChange: (content) => changes.push(content),
+    ...INTERVALS,
+    ...options
+  });
+  return { watcher, changes, clipboard: watcher.clipboard };
+}
+
+async function runCheck(watcher) {
+  watcher.requestCheck();
+  await watcher.checking;
+}
+
+test('reports the clipboard contents, then only changes', async () => {
+  const { watcher, changes, clipboard } = createWatcher();
+  clipboard.text = 'first';
+
+  assert.strictEqual(await watcher.check(), true);
+  assert.strictEqual(await watcher.check(), false);
+  clipboard.text = 'second';
+  assert.strictEqual(await watcher.check(), true);
+
+  assert.deepStrictEqual(changes.map(change => change.text), ['first', 'second']);
+});
+
+test('does not report an empty clipboard', async () => {
+  const { watcher, changes } = createWatcher();
+  await watcher.check();
+  assert.deepStrictEqual(changes, []);
+});
+
+test('does not report contents the app wrote itself', async () => {
+  const { watcher, changes, clipboard } = createWatcher();
+  clipboard.text = 'pasted by the app';
+  watcher.remember({ type: 'text', text: 'pasted by the app' });
+
+  assert.strictEqual(await watcher.check(), false);
+  assert.deepStrictEqual(changes, []);
+});
+
+test('reports copied files before their names as text', async () => {
+  let paths = ['/home/user/a.txt'];
+  const { watcher, changes, clipboard } = createWatcher({ readFilePaths: async () => paths });
+  clipboard.text = 'a.txt';
+
+  await watcher.check();
+  await watcher.check();
+  paths = ['/home/user/a.txt', '/home/user/b.txt'];
+  await watcher.check();
+
+  assert.deepStrictEqual(changes.map(change => change.type), ['file', 'file']);
+  assert.deepStrictEqual(changes[1].paths, paths);
+});
+
+test('compares images by the hash of their pixels', async () => {
+  const { watcher, changes, clipboard } = createWatcher();
+  clipboard.bitmap = Buffer.from([1, 2, 3, 4]);
+
+  await watcher.check();
+  // Same pixels in a new image object
+  clipboard.bitmap = Buffer.from([1, 2, 3, 4]);
+  assert.strictEqual(await watcher.check(), false);
+  clipboard.bitmap = Buffer.from([4, 3, 2, 1]);
+  assert.strictEqual(await watcher.check(), true);
+
+  assert.strictEqual(changes.length, 2);
+  assert.notStrictEqual(changes[0].hash, changes[1].hash);
+  assert.match(changes[0].hash, /^[a-f0-9]{64}$/);
+});
+
+test('prefers text over the preview image next to it', async () => {
+  const { watcher, changes, clipboard } = createWatcher();
+  clipboard.text = 'A1\tB1';
+  clipboard.bitmap = Buffer.from([1, 2, 3]);
+
+  await watcher.check();
+  assert.deepStrictEqual(changes, [{ type: 'text', text: 'A1\tB1' }]);
+});
+
+test('copying the same text again is not reported twice', async () => {
+  const { watcher, changes, clipboard } = createWatcher();
+  clipboard.text = 'same';
+  await watcher.check();
+  clipboard.text = 'other';
+  clipboard.text = 'same';
+  await watcher.check();
+
+  assert.strictEqual(changes.length, 1);
+});
+
+test('waits for the selection to settle before reporting it', async () => {
+  const { watcher, changes, clipboard } = createWatcher({ type: 'selection', settleTime: 50 });
+  clipboard.selection = 'hel';
+  await watcher.check();
+  clipboard.selection = 'hello';
+  await watcher.check();
+  assert.deepStrictEqual(changes, []);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  await watcher.check();
+  assert.deepStrictEqual(changes, [{ type: 'text', text: 'hello' }]);
+});
+
+test('polls more slowly while nothing changes and quickly again after a change', async () => {
+  const { watcher, clipboard } = createWatcher();
+  clipboard.text = 'first';
+  watcher.start();
+  await watcher.checking;
+  assert.strictEqual(watcher.mode, 'polling');
+  assert.strictEqual(watcher.getNextDelay(), 1000);
+
+  const delays = [];
+  for (let i = 0; i < 4; i++) {
+    await runCheck(watcher);
+    delays.push(watcher.getNextDelay());
+  }
+  assert.deepStrictEqual(delays, [2000, 4000, 8000, 8000]);
+
+  clipboard.text = 'second';
+  await runCheck(watcher);
+  assert.strictEqual(watcher.getNextDelay(), 1000);
+  watcher.stop();
+});
+
+test('polls rarely while the user is away', async () => {
+  let idleSeconds = 0;
+  const { watcher } = createWatcher({ getIdleTime: () => idleSeconds });
+  watcher.start();
+  await watcher.checking;
+  assert.strictEqual(watcher.getNextDelay(), 1000);
+
+  idleSeconds = 120;
+  assert.strictEqual(watcher.getNextDelay(), 20000);
+  watcher.stop();
+});
+
+test('checks on change notifications and falls back to polling when they stop', async () => {
+  const notifier = createFakeNotifier();
+  const { watcher, changes, clipboard } = createWatcher({ changeNotifier: notifier });
+  clipboard.text = 'first';
+  watcher.start();
+  await watcher.checking;
+
+  assert.ok(notifier.started);
+  assert.strictEqual(watcher.mode, 'events');
+  // Only an occasional safety check while notifications arrive
+  assert.strictEqual(watcher.getNextDelay(), 30000);
+
+  clipboard.text = 'second';
+  notifier.onChange();
+  await watcher.checking;
+  assert.deepStrictEqual(changes.map(change => change.text), ['first', 'second']);
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    notifier.onFail(new Error('helper exited'));
+  } finally {
+    console.warn = warn;
+  }
+  await watcher.checking;
+  assert.strictEqual(watcher.mode, 'polling');
+  assert.ok(watcher.getNextDelay() <= INTERVALS.maxInterval);
+
+  clipboard.text = 'third';
+  await runCheck(watcher);
+  assert.deepStrictEqual(changes.map(change => change.text), ['first', 'second', 'third']);
+
+  watcher.stop();
+  assert.ok(notifier.stopped);
+  assert.strictEqual(watcher.isRunning, false);
+});
+
+test('a copy made during a check is checked right after it', async () => {
+  const changes = [];
+  const watcher = new ClipboardWatcher({
+    clipboard: createFakeClipboard(),
+    changeNotifier: null,
+    ...INTERVALS,
+    onChange: (content) => {
+      changes.push(content.text);
+      if (content.text === 'first') {
+        // Copied again while the first copy is still being handled
+        watcher.clipboard.text = 'second';
+        watcher.requestCheck();
+      }
+    }
+  });
+  watcher.clipboard.text = 'first';
+  watcher.start();
+  await watcher.checking;
+  await watcher.checking;
+
+  assert.deepStrictEqual(changes, ['first', 'second']);
+  watcher.stop();
+});
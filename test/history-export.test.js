@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getExportableItems, exportItems, readExportedItems } = require('../history-export');
+
+const ITEMS = [
+  { id: 'a', type: 'text', text: 'hello', category: 'note', timestamp: Date.UTC(2026, 0, 1) },
+  { id: 'b', type: 'text', text: 'password=hunter22', category: 'password', sensitive: ['password'], timestamp: Date.UTC(2026, 0, 2) }
+];
+
+test('leaves detected secrets out of the plain formats', () => {
+  ['json', 'csv', 'markdown'].forEach(format => {
+    assert.deepStrictEqual(getExportableItems(ITEMS, format).map(item => item.id), ['a'], format);
+  });
+});
+
+test('keeps detected secrets when asked to, or in the encrypted archive', () => {
+  assert.strictEqual(getExportableItems(ITEMS, 'csv', { includeSensitive: true }).length, 2);
+  assert.strictEqual(getExportableItems(ITEMS, 'archive').length, 2);
+});
+
+test('plain exports of the exportable items contain no secret', async () => {
+  for (const format of ['json', 'csv', 'markdown']) {
+    const content = await exportItems(getExportableItems(ITEMS, format), format);
+    assert.ok(!content.includes('hunter22'), format);
+  }
+});
+
+test('the encrypted archive round-trips detected secrets', async () => {
+  const content = await exportItems(getExportableItems(ITEMS, 'archive'), 'archive', { password: 'archive-pass' });
+  assert.ok(!content.includes('hunter22'));
+  const { items } = await readExportedItems(content, 'history.economos', { password: 'archive-pass' });
+  assert.deepStrictEqual(items, ITEMS);
+});
+
+test('CSV exports round-trip quotes, commas and line breaks', async () => {
+  const items = [
+    { id: 'a', type: 'text', text: 'plain', category: 'note', pinned: false, timestamp: Date.UTC(2026, 0, 1) },
+    { id: 'b', type: 'text', text: 'say "hi", then\r\nleave\nnow', category: 'other', pinned: true, timestamp: Date.UTC(2026, 0, 2) },
+    { id: 'c', type: 'text', text: '', category: 'other', pinned: false, timestamp: Date.UTC(2026, 0, 3) }
+  ];
+  const content = await exportItems(items, 'csv');
+  const { format, items: read } = await readExportedItems(content, 'history.csv');
+  assert.strictEqual(format, 'csv');
+  assert.deepStrictEqual(read, items);
+});
+
+test('reads CSV files with LF line endings and no final line break', async () => {
+  const content = 'id,timestamp,type,category,pinned,text\n' +
+    'a,2026-01-01T00:00:00.000Z,text,note,false,"one, two"\n' +
+    'b,2026-01-02T00:00:00.000Z,text,note,true,last';
+  const { items } = await readExportedItems(content, 'history.csv');
+  assert.deepStrictEqual(items.map(item => [item.id, item.text, item.pinned]), [['a', 'one, two', false], ['b', 'last', true]]);
+});
+
+test('skips CSV rows with the wrong number of fields', async () => {
+  const content = 'id,timestamp,type,category,pinned,text\r\n' +
+    'a,2026-01-01T00:00:00.000Z,text,note,false,ok\r\n' +
+    'b,2026-01-02T00:00:00.000Z,text,note\r\n';
+  const { items } = await readExportedItems(content, 'history.csv');
+  assert.deepStrictEqual(items.map(item => item.id), ['a']);
+});
+
+test('refuses files that are not exports', async () => {
+  await assert.rejects(readExportedItems('name,value\r\nx,1\r\n', 'other.csv'), /Not a clipboard history CSV export/);
+  await assert.rejects(readExportedItems('{"something": true}', 'other.json'), /Not a clipboard history JSON export/);
+  await assert.rejects(readExportedItems('# Clipboard History\n', 'digest.md'), /can't be imported/);
+});
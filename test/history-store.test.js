@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HistoryStore = require('../history-store');
+const { encrypt, generateEncryptionKey } = require('../crypto-utils');
+
+function createTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'economos-history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function createItem(id, text, timestamp = Date.now()) {
+  return { id, type: 'text', text, category: 'note', timestamp };
+}
+
+function openStore(filePath, options = {}) {
+  const store = new HistoryStore(filePath);
+  store.configure(options);
+  return store;
+}
+
+test('leaves out a plain log while encryption is on', (t) => {
+  const logFile = path.join(createTempDir(t), 'history.log');
+  const plain = openStore(logFile);
+  plain.put(createItem('a', 'first'));
+  plain.put(createItem('b', 'second'));
+
+  const store = openStore(logFile, { key: generateEncryptionKey(), encrypt: true });
+  const stats = store.load();
+  assert.strictEqual(stats.unencrypted, 2);
+  assert.strictEqual(store.count, 0);
+});
+
+test('leaves out plain records appended to an encrypted log', (t) => {
+  const logFile = path.join(createTempDir(t), 'history.log');
+  const key = generateEncryptionKey();
+  openStore(logFile, { key, encrypt: true }).put(createItem('a', 'first'));
+  fs.appendFileSync(logFile, JSON.stringify({ op: 'put', item: createItem('b', 'forged') }) + '\n');
+
+  const store = openStore(logFile, { key, encrypt: true });
+  const stats = store.load();
+  assert.strictEqual(stats.unencrypted, 1);
+  assert.deepStrictEqual(store.all().map(item => item.id), ['a']);
+});
+
+test('does not migrate anything when the old encrypted history can\'t be decrypted', (t) => {
+  const dir = createTempDir(t);
+  const jsonFile = path.join(dir, 'history.json');
+  const encryptedFile = path.join(dir, 'history.encrypted');
+  fs.writeFileSync(jsonFile, JSON.stringify([createItem('stale', 'old plain copy')]));
+  fs.writeFileSync(encryptedFile, encrypt(JSON.stringify([createItem('a', 'first')]), generateEncryptionKey()));
+
+  t.mock.method(console, 'error', () => {}); // the failed decryption is logged
+  const store = openStore(path.join(dir, 'history.log'), { key: generateEncryptionKey(), encrypt: true });
+  const result = store.migrateLegacyFiles(jsonFile, encryptedFile, store.key);
+  assert.deepStrictEqual(result, { failed: true, source: encryptedFile });
+  assert.ok(fs.existsSync(jsonFile));
+  assert.ok(fs.existsSync(encryptedFile));
+  assert.ok(!fs.existsSync(store.filePath));
+});
+
+test('migrates the old encrypted history', (t) => {
+  const dir = createTempDir(t);
+  const key = generateEncryptionKey();
+  const encryptedFile = path.join(dir, 'history.encrypted');
+  fs.writeFileSync(encryptedFile, encrypt(JSON.stringify([createItem('a', 'first')]), key));
+
+  const store = openStore(path.join(dir, 'history.log'), { key, encrypt: true });
+  const result = store.migrateLegacyFiles(path.join(dir, 'history.json'), encryptedFile, key);
+  assert.deepStrictEqual(result, { count: 1, source: encryptedFile });
+  assert.ok(fs.existsSync(`${encryptedFile}.migrated`));
+  store.load();
+  assert.deepStrictEqual(store.all().map(item => item.text), ['first']);
+});
+
+test('reads records longer than one read chunk', (t) => {
+  const logFile = path.join(createTempDir(t), 'history.log');
+  const key = generateEncryptionKey();
+  const long = 'x'.repeat(3 * 1024 * 1024);
+  const writer = openStore(logFile, { key, encrypt: true });
+  writer.put(createItem('a', long, 1000));
+  writer.put(createItem('b', 'short ünïcödé', 2000));
+
+  const store = openStore(logFile, { key, encrypt: true });
+  const stats = store.load();
+  assert.strictEqual(stats.records, 2);
+  assert.strictEqual(store.get('a').text, long);
+  assert.strictEqual(store.get('b').text, 'short ünïcödé');
+  assert.strictEqual(store.logSize, fs.statSync(logFile).size);
+});
+
+test('compacts the log once most of its bytes are replaced records', (t) => {
+  const logFile = path.join(createTempDir(t), 'history.log');
+  const store = openStore(logFile);
+  const image = 'x'.repeat(4 * 1024 * 1024);
+  store.put(createItem('keep', 'small'));
+  // Far fewer records than the dead record threshold, but many megabytes of them
+  for (let i = 0; i < 9; i++) {
+    store.put(createItem('big', `${i}${image}`));
+  }
+  assert.ok(fs.statSync(logFile).size < 3 * image.length);
+  assert.strictEqual(store.deadBytes, store.logSize - (store.recordSizes.get('keep') + store.recordSizes.get('big')));
+
+  const reloaded = openStore(logFile);
+  reloaded.load();
+  assert.deepStrictEqual(reloaded.all().map(item => item.text.slice(0, 1)).sort(), ['8', 's']);
+  assert.strictEqual(reloaded.deadBytes, store.deadBytes);
+});
+
+test('replays puts and deletes in order', (t) => {
+  const logFile = path.join(createTempDir(t), 'history.log');
+  const writer = openStore(logFile);
+  writer.put(createItem('a', 'first', 1000));
+  writer.put(createItem('b', 'second', 2000));
+  writer.put({ ...createItem('a', 'first, edited', 1000), pinned: true });
+  writer.remove(['b']);
+  writer.put(createItem('c', 'third', 3000));
+
+  const store = openStore(logFile);
+  const stats = store.load();
+  assert.strictEqual(stats.records, 5);
+  assert.deepStrictEqual(store.all().map(item => item.text), ['third', 'first, edited']);
+  assert.strictEqual(store.deadRecords, 3);
+});
+
+test('drops a last record cut off while it was written', (t) => {
+  const logFile = path.join(createTempDir(t), 'history.log');
+  const key = generateEncryptionKey();
+  const writer = openStore(logFile, { key, encrypt: true });
+  writer.put(createItem('a', 'first', 1000));
+  const goodSize = fs.statSync(logFile).size;
+  writer.put(createItem('b', 'second', 2000));
+  // Cut the second record off halfway
+  fs.truncateSync(logFile, goodSize + Math.floor((fs.statSync(logFile).size - goodSize) / 2));
+
+  const store = openStore(logFile, { key, encrypt: true });
+  const stats = store.load();
+  assert.strictEqual(stats.torn, 1);
+  assert.strictEqual(stats.skipped, 0);
+  assert.deepStrictEqual(store.all().map(item => item.id), ['a']);
+  // Cut from the file too, so the next record starts on a line of its own
+  assert.strictEqual(fs.statSync(logFile).size, goodSize);
+  store.put(createItem('c', 'third', 3000));
+  const reloaded = openStore(logFile, { key, encrypt: true });
+  assert.strictEqual(reloaded.load().skipped, 0);
+  assert.deepStrictEqual(reloaded.all().map(item => item.id), ['c', 'a']);
+});
+
+test('skips a record that was tampered with and keeps the rest', (t) => {
+  const logFile = path.join(createTempDir(t), 'history.log');
+  const key = generateEncryptionKey();
+  const writer = openStore(logFile, { key, encrypt: true });
+  writer.put(createItem('a', 'first', 1000));
+  writer.put(createItem('b', 'second', 2000));
+  writer.put(createItem('c', 'third', 3000));
+
+  // Flip one character of the second record's ciphertext
+  const lines = fs.readFileSync(logFile, 'utf8').split('\n');
+  const last = lines[1].slice(-1);
+  lines[1] = lines[1].slice(0, -1) + (last === '0' ? '1' : '0');
+  fs.writeFileSync(logFile, lines.join('\n'));
+
+  t.mock.method(console, 'error', () => {}); // the failed decryption is logged
+  const store = openStore(logFile, { key, encrypt: true });
+  const stats = store.load();
+  assert.strictEqual(stats.skipped, 1);
+  assert.strictEqual(stats.records, 2);
+  assert.deepStrictEqual(store.all().map(item => item.id), ['c', 'a']);
+});
+
+test('can\'t read an encrypted log with another key', (t) => {
+  const logFile = path.join(createTempDir(t), 'history.log');
+  openStore(logFile, { key: generateEncryptionKey(), encrypt: true }).put(createItem('a', 'first'));
+
+  t.mock.method(console, 'error', () => {});
+  const store = openStore(logFile, { key: generateEncryptionKey(), encrypt: true });
+  assert.strictEqual(store.load().skipped, 1);
+  assert.strictEqual(store.count, 0);
+});
+
+test('puts many items with one write and one flush', (t) => {
+  const logFile = path.join(createTempDir(t), 'history.log');
+  const key = generateEncryptionKey();
+  const store = openStore(logFile, { key, encrypt: true });
+  store.put(createItem('a', 'first', 1000));
+
+  const fsync = t.mock.method(fs, 'fsyncSync');
+  store.putMany([
+    createItem('b', 'second', 2000),
+    { ...createItem('a', 'first, pinned', 1000), pinned: true },
+    createItem('c', 'third', 3000)
+  ]);
+  assert.strictEqual(fsync.mock.callCount(), 1);
+  assert.strictEqual(store.deadRecords, 1);
+
+  const reloaded = openStore(logFile, { key, encrypt: true });
+  assert.strictEqual(reloaded.load().records, 4);
+  assert.deepStrictEqual(reloaded.all().map(item => item.text), ['third', 'second', 'first, pinned']);
+  assert.strictEqual(reloaded.deadBytes, store.deadBytes);
+});
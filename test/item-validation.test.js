@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isItemId, isImageDataUrl, sanitizeEntry, sanitizeItem } = require('../item-validation');
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+const HASH = 'a'.repeat(64);
+
+test('accepts ids and image data URLs of the expected shape only', () => {
+  assert.ok(isItemId('1767225600000-abc_12'));
+  ['', 'a b', '<img>', 'x'.repeat(65), 42].forEach(id => assert.strictEqual(isItemId(id), false, String(id)));
+
+  assert.ok(isImageDataUrl(PNG));
+  assert.ok(isImageDataUrl('data:image/jpeg;base64,/9j/4AAQ'));
+  [
+    'data:image/svg+xml;base64,PHN2Zz4=',
+    'javascript:alert(1)',
+    `${PNG}" onerror="alert(1)`,
+    'https://example.com/a.png'
+  ].forEach(url => assert.strictEqual(isImageDataUrl(url), false, url));
+});
+
+test('keeps only the known fields of a text item', () => {
+  const item = sanitizeItem({
+    id: 'a1',
+    type: 'text',
+    text: 'hello',
+    category: 'note',
+    timestamp: 1000,
+    pinned: true,
+    pinnedAt: 2000,
+    formats: { html: '<b>hello</b>', rtf: '', script: 'x' },
+    sourceApp: 'Editor',
+    sourceDevice: { id: 'd1', name: 'Laptop', extra: true },
+    onclick: 'alert(1)'
+  });
+  assert.deepStrictEqual(item, {
+    id: 'a1',
+    type: 'text',
+    text: 'hello',
+    formats: { html: '<b>hello</b>' },
+    timestamp: 1000,
+    category: 'note',
+    pinned: true,
+    pinnedAt: 2000,
+    sourceApp: 'Editor',
+    sourceDevice: { id: 'd1', name: 'Laptop' }
+  });
+});
+
+test('leaves out an unknown category so the caller can pick one', () => {
+  const item = sanitizeItem({ id: 'a1', text: 'hello', category: 'bogus', timestamp: 1000 });
+  assert.strictEqual(item.type, 'text');
+  assert.strictEqual(item.category, undefined);
+  // Images and files always get their own category
+  const image = sanitizeItem({ id: 'a2', type: 'image', image: PNG, width: 1, height: 1, hash: HASH, category: 'note', timestamp: 1000 });
+  assert.strictEqual(image.category, 'image');
+});
+
+test('rejects items that are not usable', () => {
+  [
+    null,
+    'text',
+    { id: 'a1', text: 'hello' },
+    { id: 'a b', text: 'hello', timestamp: 1000 },
+    { id: 'a1', text: '   ', timestamp: 1000 },
+    { id: 'a1', type: 'video', text: 'x', timestamp: 1000 },
+    { id: 'a1', type: 'image', image: 'javascript:alert(1)', width: 1, height: 1, hash: HASH, timestamp: 1000 },
+    { id: 'a1', type: 'image', image: PNG, width: 0, height: 1, hash: HASH, timestamp: 1000 },
+    { id: 'a1', type: 'image', image: PNG, width: 1, height: 1, hash: 'nothex', timestamp: 1000 },
+    { id: 'a1', type: 'image', image: PNG, thumbnail: 'x', width: 1, height: 1, hash: HASH, timestamp: 1000 }
+  ].forEach(item => assert.strictEqual(sanitizeItem(item), null, JSON.stringify(item)));
+});
+
+test('cleans entries shared between devices', () => {
+  assert.deepStrictEqual(sanitizeEntry({ text: 'hi', category: 'note' }), { type: 'text', text: 'hi' });
+  assert.deepStrictEqual(
+    sanitizeEntry({ type: 'image', image: PNG, width: 2, height: 3, hash: HASH }),
+    { type: 'image', text: '', image: PNG, thumbnail: PNG, width: 2, height: 3, hash: HASH }
+  );
+  assert.deepStrictEqual(
+    sanitizeEntry({ type: 'file', text: '/tmp/a', files: [{ path: '/tmp/a', size: -1 }, { name: 'no path' }] }),
+    { type: 'file', text: '/tmp/a', files: [{ path: '/tmp/a', name: '/tmp/a', size: null, mime: null, isDirectory: false, exists: false }] }
+  );
+});
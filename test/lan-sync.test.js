@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LanSync = require('../lan-sync');
+
+// Two devices on this machine, each listening on a free port
+async function createDevices(t) {
+  const devices = {};
+  for (const id of ['host', 'join']) {
+    const lanSync = new LanSync();
+    const received = [];
+    await lanSync.start({
+      port: 0,
+      device: { id: `${id}-device`, name: id },
+      handlers: { onItem: (entry, peer) => received.push({ entry, from: peer.id }) }
+    });
+    t.after(() => lanSync.stop());
+    devices[id] = { lanSync, received };
+  }
+  return devices;
+}
+
+test('a wrong code ends the pairing attempt, the right one pairs both devices', async (t) => {
+  const { host, join } = await createDevices(t);
+  const address = `127.0.0.1:${host.lanSync.port}`;
+
+  const { code } = host.lanSync.beginPairing();
+  const wrongCode = code === 'AAAA-AAAA' ? 'BBBB-BBBB' : 'AAAA-AAAA';
+  await assert.rejects(join.lanSync.pair(address, wrongCode), /Wrong pairing code/);
+  // One attempt per code
+  assert.strictEqual(host.lanSync.getPairing(), null);
+  await assert.rejects(join.lanSync.pair(address, code), /not waiting to be paired/);
+  assert.deepStrictEqual(host.lanSync.peers, []);
+  assert.deepStrictEqual(join.lanSync.peers, []);
+
+  let paired = null;
+  host.lanSync.handlers.onPaired = (peer, key) => {
+    paired = { peer, key };
+  };
+  const next = host.lanSync.beginPairing();
+  // Codes are accepted in any case and with or without the dash
+  const { peer, key } = await join.lanSync.pair(address, next.code.replace('-', '').toLowerCase());
+
+  assert.strictEqual(peer.id, 'host-device');
+  assert.strictEqual(paired.peer.id, 'join-device');
+  assert.strictEqual(paired.peer.port, join.lanSync.port);
+  assert.strictEqual(paired.key, key);
+});
+
+test('paired devices share clips both ways', async (t) => {
+  const { host, join } = await createDevices(t);
+  host.lanSync.beginPairing();
+  await join.lanSync.pair(`127.0.0.1:${host.lanSync.port}`, host.lanSync.pairing.code);
+
+  assert.deepStrictEqual(await join.lanSync.share({ type: 'text', text: 'from join' }), { sent: 1, failed: 0 });
+  assert.deepStrictEqual(host.received, [{ entry: { type: 'text', text: 'from join' }, from: 'join-device' }]);
+
+  assert.deepStrictEqual(await host.lanSync.share({ type: 'text', text: 'from host' }), { sent: 1, failed: 0 });
+  assert.deepStrictEqual(join.received, [{ entry: { type: 'text', text: 'from host' }, from: 'host-device' }]);
+});
+
+test('refuses clips from devices that are not paired', async (t) => {
+  const { host, join } = await createDevices(t);
+  // Knows the host's address, but has no key the host accepts
+  join.lanSync.addPeer({ id: 'host-device', name: 'host', host: '127.0.0.1', port: host.lanSync.port }, Buffer.alloc(32));
+  t.mock.method(console, 'warn', () => {});
+
+  assert.deepStrictEqual(await join.lanSync.share({ type: 'text', text: 'hello' }), { sent: 0, failed: 1 });
+  assert.deepStrictEqual(host.received, []);
+});
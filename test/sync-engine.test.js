@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SyncEngine = require('../sync-engine');
+
+const PASSPHRASE = 'correct horse battery staple';
+
+function createTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'economos-sync-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function createItem(id, text, extra = {}) {
+  return { id, type: 'text', text, category: 'note', timestamp: Date.UTC(2026, 0, 1), ...extra };
+}
+
+// Changes are versioned by Date.now(), make sure the next one is later
+function nextMillisecond() {
+  const start = Date.now();
+  while (Date.now() === start) {
+    // busy wait, at most a millisecond
+  }
+}
+
+// Two devices sharing one sync folder, each with its own state file
+async function createDevices(t) {
+  const dir = createTempDir(t);
+  const folder = path.join(dir, 'shared');
+  const devices = [];
+  for (const name of ['a', 'b']) {
+    const engine = new SyncEngine(path.join(dir, `${name}-state.json`));
+    engine.start(folder, await engine.connect(folder, PASSPHRASE));
+    devices.push(engine);
+  }
+  return { folder, a: devices[0], b: devices[1] };
+}
+
+test('a put and a delete reach the other device', async (t) => {
+  const { a, b } = await createDevices(t);
+  assert.notStrictEqual(a.deviceId, b.deviceId);
+
+  a.recordChanges({ upserted: [createItem('item-1', 'hello')] });
+  let result = b.poll();
+  assert.deepStrictEqual(result.upserted.map(item => item.text), ['hello']);
+  assert.deepStrictEqual(result.removed, []);
+  assert.strictEqual(result.devices, 1);
+
+  // Nothing new the second time
+  assert.deepStrictEqual(b.poll().upserted, []);
+
+  nextMillisecond();
+  a.recordChanges({ removed: ['item-1'] });
+  result = b.poll();
+  assert.deepStrictEqual(result.upserted, []);
+  assert.deepStrictEqual(result.removed, ['item-1']);
+});
+
+test('an older put read after a delete does not bring the item back', async (t) => {
+  const { a, b } = await createDevices(t);
+  a.recordChanges({ upserted: [createItem('item-1', 'hello')] });
+  b.poll();
+
+  // b edits the item, then a deletes it without having seen the edit
+  nextMillisecond();
+  b.recordChanges({ upserted: [createItem('item-1', 'hello again')] });
+  nextMillisecond();
+  a.recordChanges({ removed: ['item-1'] });
+
+  assert.deepStrictEqual(a.poll().upserted, []);
+  assert.deepStrictEqual(b.poll().removed, ['item-1']);
+});
+
+test('a pin made after a delete brings the item back', async (t) => {
+  const { a, b } = await createDevices(t);
+  a.recordChanges({ upserted: [createItem('item-1', 'hello')] });
+  b.poll();
+
+  nextMillisecond();
+  a.recordChanges({ removed: ['item-1'] });
+  // b pins the item before it has read the delete
+  nextMillisecond();
+  b.recordChanges({ upserted: [createItem('item-1', 'hello', { pinned: true, pinnedAt: Date.now() })] });
+
+  assert.deepStrictEqual(b.poll().removed, []);
+  const result = a.poll();
+  assert.deepStrictEqual(result.upserted.map(item => [item.id, item.pinned]), [['item-1', true]]);
+});
+
+test('compaction replaces the log with the last change per item', async (t) => {
+  const { folder, a, b } = await createDevices(t);
+  a.recordChanges({ upserted: [createItem('item-1', 'first'), createItem('item-2', 'gone')] });
+  b.poll();
+  nextMillisecond();
+  a.recordChanges({ upserted: [createItem('item-1', 'second')], removed: ['item-2'] });
+
+  a.compact();
+  const logs = fs.readdirSync(path.join(folder, 'economos-sync', 'changes'))
+    .filter(name => name.startsWith(a.deviceId));
+  assert.deepStrictEqual(logs, [`${a.deviceId}.1.log`]);
+
+  // b reads the snapshot from the start: only the latest version of each item
+  const result = b.poll();
+  assert.deepStrictEqual(result.upserted.map(item => item.text), ['second']);
+  assert.deepStrictEqual(result.removed, ['item-2']);
+
+  // A device that joins later gets the same from the snapshot alone
+  const c = new SyncEngine(path.join(path.dirname(folder), 'c-state.json'));
+  c.start(folder, await c.connect(folder, PASSPHRASE));
+  const joined = c.poll();
+  assert.deepStrictEqual(joined.upserted.map(item => item.text), ['second']);
+  assert.deepStrictEqual(joined.removed, ['item-2']);
+});
+
+test('refuses a wrong passphrase', async (t) => {
+  const { folder } = await createDevices(t);
+  const engine = new SyncEngine(path.join(path.dirname(folder), 'c-state.json'));
+  t.mock.method(console, 'error', () => {}); // the failed decryption is logged
+  await assert.rejects(engine.connect(folder, 'wrong passphrase'), /Wrong sync passphrase/);
+});
+
+test('skips changes that are not valid items', async (t) => {
+  const { a, b } = await createDevices(t);
+  a.recordChanges({ upserted: [{ id: 'item-1', type: 'image', image: 'javascript:alert(1)', timestamp: 1 }] });
+  fs.appendFileSync(a.getOwnLog(), 'not an encrypted change\n');
+  t.mock.method(console, 'error', () => {});
+
+  const result = b.poll();
+  assert.deepStrictEqual(result.upserted, []);
+  assert.strictEqual(result.unreadable, 2);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  parseTimeOfDay,
+  normalizeTimeWindow,
+  isWithinTimeWindow,
+  getNextTimeWindowChange,
+  describeTimeWindow
+} = require('../time-window');
+
+// 1 January 2026 is a Thursday; dates are local time like the windows themselves
+function at(day, hours, minutes = 0) {
+  return new Date(2026, 0, day, hours, minutes);
+}
+
+test('parses times of day', () => {
+  assert.strictEqual(parseTimeOfDay('09:30'), 570);
+  assert.strictEqual(parseTimeOfDay(' 7:05 '), 425);
+  assert.strictEqual(parseTimeOfDay('24:00'), null);
+  assert.strictEqual(parseTimeOfDay('12:60'), null);
+  assert.strictEqual(parseTimeOfDay('noon'), null);
+  assert.strictEqual(parseTimeOfDay(undefined), null);
+});
+
+test('normalizes windows and rejects invalid ones', () => {
+  assert.deepStrictEqual(
+    normalizeTimeWindow({ days: ['5', 1, 1, 9], start: '9:00', end: '17:30' }),
+    { days: [1, 5], start: '09:00', end: '17:30' }
+  );
+  assert.throws(() => normalizeTimeWindow({ start: '09:00', end: '09:00' }), /must differ/);
+  assert.throws(() => normalizeTimeWindow({ start: '09:00' }), /HH:MM/);
+});
+
+test('a daytime window includes its start and excludes its end', () => {
+  const window = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+  assert.strictEqual(isWithinTimeWindow(window, at(2, 8, 59)), false);
+  assert.strictEqual(isWithinTimeWindow(window, at(2, 9, 0)), true);
+  assert.strictEqual(isWithinTimeWindow(window, at(2, 16, 59)), true);
+  assert.strictEqual(isWithinTimeWindow(window, at(2, 17, 0)), false);
+  // Saturday
+  assert.strictEqual(isWithinTimeWindow(window, at(3, 10, 0)), false);
+});
+
+test('an overnight window belongs to the day it starts on', () => {
+  const fridayNight = { days: [5], start: '22:00', end: '06:00' };
+  assert.strictEqual(isWithinTimeWindow(fridayNight, at(2, 23, 0)), true); // Friday evening
+  assert.strictEqual(isWithinTimeWindow(fridayNight, at(3, 2, 0)), true); // Saturday morning
+  assert.strictEqual(isWithinTimeWindow(fridayNight, at(3, 6, 0)), false);
+  assert.strictEqual(isWithinTimeWindow(fridayNight, at(2, 2, 0)), false); // Thursday night
+  assert.strictEqual(isWithinTimeWindow(fridayNight, at(3, 23, 0)), false);
+});
+
+test('an empty day list means every day', () => {
+  const window = { days: [], start: '12:00', end: '13:00' };
+  for (let day = 1; day <= 7; day++) {
+    assert.strictEqual(isWithinTimeWindow(window, at(day, 12, 30)), true);
+  }
+});
+
+test('finds when the window opens or closes next', () => {
+  const weekdays = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+  assert.deepStrictEqual(getNextTimeWindowChange(weekdays, at(2, 10, 0)), at(2, 17, 0));
+  // Friday evening: opens again on Monday
+  assert.deepStrictEqual(getNextTimeWindowChange(weekdays, at(2, 18, 0)), at(5, 9, 0));
+
+  const overnight = { days: [], start: '22:00', end: '06:00' };
+  assert.deepStrictEqual(getNextTimeWindowChange(overnight, at(2, 23, 0)), at(3, 6, 0));
+
+  assert.strictEqual(getNextTimeWindowChange({ start: 'bad', end: '06:00' }, at(2, 23, 0)), null);
+});
+
+test('describes windows', () => {
+  assert.strictEqual(describeTimeWindow({ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }), 'Mon-Fri 09:00-17:00');
+  assert.strictEqual(describeTimeWindow({ days: [0, 6], start: '10:00', end: '12:00' }), 'Weekends 10:00-12:00');
+  assert.strictEqual(describeTimeWindow({ days: [], start: '22:00', end: '06:00' }), 'Every day 22:00-06:00');
+  assert.strictEqual(describeTimeWindow({ days: [1, 3], start: '08:00', end: '09:00' }), 'Mon, Wed 08:00-09:00');
+});
@@ -0,0 +1,102 @@
+// Time-of-day windows, e.g. { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:30' }.
+// days: 0 = Sunday .. 6 = Saturday, empty = every day.
+// An end before the start wraps past midnight (22:00-06:00); such a window belongs
+// to the day it starts on, so Friday 22:00-06:00 includes Saturday 02:00.
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// 'HH:MM' -> minutes since midnight, null if invalid
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+function formatTimeOfDay(minutes) {
+  const hours = Math.floor(minutes / 60) % 24;
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Validated copy of a window (throws on invalid times)
+function normalizeTimeWindow(window) {
+  const start = parseTimeOfDay(window && window.start);
+  const end = parseTimeOfDay(window && window.end);
+  if (start === null || end === null) {
+    throw new Error('Times must be in HH:MM format');
+  }
+  if (start === end) {
+    throw new Error('Start and end time must differ');
+  }
+  const days = Array.from(new Set((window.days || []).map(day => parseInt(day))))
+    .filter(day => day >= 0 && day <= 6)
+    .sort();
+  return { days, start: formatTimeOfDay(start), end: formatTimeOfDay(end) };
+}
+
+function includesDay(window, day) {
+  return !window.days || window.days.length === 0 || window.days.includes(day);
+}
+
+function isWithinTimeWindow(window, date = new Date()) {
+  const start = parseTimeOfDay(window.start);
+  const end = parseTimeOfDay(window.end);
+  if (start === null || end === null) return false;
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  if (start < end) {
+    return minutes >= start && minutes < end && includesDay(window, day);
+  }
+  // Overnight: the evening part counts for today, the morning part for yesterday
+  if (minutes >= start) {
+    return includesDay(window, day);
+  }
+  return minutes < end && includesDay(window, (day + 6) % 7);
+}
+
+// The next time the window opens or closes after date, null if it never does
+function getNextTimeWindowChange(window, date = new Date()) {
+  const start = parseTimeOfDay(window.start);
+  const end = parseTimeOfDay(window.end);
+  if (start === null || end === null) return null;
+
+  const isWithin = isWithinTimeWindow(window, date);
+  const candidates = [];
+  // Every start and end in the coming week, one of them is the next change
+  for (let offset = 0; offset <= 8; offset++) {
+    [start, end].forEach(minutes => {
+      const candidate = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset,
+        Math.floor(minutes / 60), minutes % 60);
+      if (candidate > date) candidates.push(candidate);
+    });
+  }
+  candidates.sort((a, b) => a - b);
+  return candidates.find(candidate => isWithinTimeWindow(window, candidate) !== isWithin) || null;
+}
+
+// e.g. "Mon-Fri 09:00-17:30", "Every day 22:00-06:00"
+function describeTimeWindow(window) {
+  const days = window.days || [];
+  let dayText;
+  if (days.length === 0 || days.length === 7) {
+    dayText = 'Every day';
+  } else if (days.join(',') === '1,2,3,4,5') {
+    dayText = 'Mon-Fri';
+  } else if (days.join(',') === '0,6') {
+    dayText = 'Weekends';
+  } else {
+    dayText = days.map(day => DAY_NAMES[day]).join(', ');
+  }
+  return `${dayText} ${window.start}-${window.end}`;
+}
+
+module.exports = {
+  parseTimeOfDay,
+  normalizeTimeWindow,
+  isWithinTimeWindow,
+  getNextTimeWindowChange,
+  describeTimeWindow
+};
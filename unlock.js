@@ -0,0 +1,30 @@
+const { ipcRenderer } = require('electron');
+
+// Master password prompt shown at startup, before the history is loaded
+
+document.getElementById('unlockForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const input = document.getElementById('passwordInput');
+  const button = document.getElementById('unlockBtn');
+  const error = document.getElementById('unlockError');
+  
+  button.disabled = true;
+  error.textContent = '';
+  const result = await ipcRenderer.invoke('unlock-master-password', input.value);
+  if (!result.success) {
+    button.disabled = false;
+    error.textContent = result.error;
+    input.select();
+  }
+});
+
+// Closing the prompt quits the app
+document.getElementById('quitBtn').addEventListener('click', () => {
+  window.close();
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    window.close();
+  }
+});